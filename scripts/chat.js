@@ -3,16 +3,30 @@ import {
   getFacilityConfig,
   getFacilityState,
   parseBoonsFromConfig,
+  recordHistoryBoonPurchase,
+  setTreasury,
   updateFacilityVenture
 } from "./config.js";
 import {
   buildBoonGroupKey,
   buildBoonKey,
   boonPurchaseWhenAllows,
-  getActorGp,
+  buildCurrencyPayoutUpdate,
+  buildCurrencySpendUpdate,
+  cpToGp,
+  getActorCurrencyCp,
+  getDieLadder,
+  getGroupMembers,
+  growDie,
+  isVentureOwnerActor,
+  matchesVentureTags,
   parseBoonPerTurnLimit,
   parseBoonPurchaseWhen,
-  resolveRewardDocumentSync
+  parseCurrencyAmount,
+  parseVentureTags,
+  resolveRewardDocumentSync,
+  roundGp,
+  splitPartnerShares
 } from "./utils.js";
 import { moduleLog } from "./logger.js";
 
@@ -20,7 +34,9 @@ const BASTION_DURATION_FLAG = `flags.${MODULE_ID}.bastionDuration`;
 const BASTION_DURATION_CHANGE_PREFIX = `${BASTION_DURATION_FLAG}.`;
 const BOON_REWARD_SOURCE_FLAG = `flags.${MODULE_ID}.boonRewardSource`;
 const BOON_REWARD_TEMPLATE_ID_FLAG = `flags.${MODULE_ID}.boonRewardTemplateId`;
-const boonPurchaseLocks = new Map();
+const treasuryLocks = new Map();
+const pendingTreasuryRequests = new Map();
+const TREASURY_REQUEST_TIMEOUT_MS = 30000;
 
 function getRenderTemplate() {
   return foundry.applications?.handlebars?.renderTemplate ?? renderTemplate;
@@ -77,6 +93,7 @@ function getVentureModifierFromEffect(effect) {
   return {
     applyToAllVentures: parseModifierBoolean(raw.applyToAllVentures, false),
     facilityId: String(raw.facilityId ?? raw.facilityUuid ?? "").trim(),
+    tags: parseVentureTags(raw.tags),
     profitDieStep: parseModifierNumber(raw.profitDieStep, 0),
     profitDieOverride: String(raw.profitDieOverride ?? "").trim(),
     minProfitDie: String(raw.minProfitDie ?? "").trim(),
@@ -85,6 +102,8 @@ function getVentureModifierFromEffect(effect) {
     maxLossDie: String(raw.maxLossDie ?? "").trim(),
     successThresholdOverride: Math.max(parseModifierNumber(raw.successThresholdOverride, 0), 0),
     profitRollBonus: parseModifierNumber(raw.profitRollBonus, 0),
+    taxRateOverride: String(raw.taxRateOverride ?? "").trim(),
+    vaultCapacityBonus: parseCurrencyAmount(raw.vaultCapacityBonus, 0),
     remainingTurns,
     consumePerTurn: parseModifierBoolean(raw.consumePerTurn, true),
     bastionDurationType: String(raw.bastionDurationType ?? "").trim()
@@ -98,6 +117,7 @@ function modifierAppliesToFacility(modifier, facility, source = null) {
       return true;
     }
   }
+  if (modifier.tags?.length && !matchesVentureTags(getFacilityConfig(facility).tags, modifier.tags)) return false;
   if (modifier.applyToAllVentures) return true;
   const target = modifier.facilityId;
   if (!target || (target === "*") || (target.toLowerCase() === "all")) return true;
@@ -106,6 +126,7 @@ function modifierAppliesToFacility(modifier, facility, source = null) {
 
 function summarizeModifier(modifier) {
   const parts = [];
+  if (modifier.tags?.length) parts.push(`tagged ${modifier.tags.join(" / ")}`);
   if (modifier.profitDieStep) parts.push(`profit die step ${modifier.profitDieStep > 0 ? "+" : ""}${modifier.profitDieStep}`);
   if (modifier.profitDieOverride) parts.push(`profit die ${modifier.profitDieOverride}`);
   if (modifier.minProfitDie) parts.push(`minimum profit die ${modifier.minProfitDie}`);
@@ -114,6 +135,8 @@ function summarizeModifier(modifier) {
   if (modifier.maxLossDie) parts.push(`maximum loss die ${modifier.maxLossDie}`);
   if (modifier.successThresholdOverride) parts.push(`successes to grow ${modifier.successThresholdOverride}`);
   if (modifier.profitRollBonus) parts.push(`profit bonus ${modifier.profitRollBonus > 0 ? "+" : ""}${modifier.profitRollBonus}`);
+  if (modifier.taxRateOverride) parts.push(`tax rate ${modifier.taxRateOverride}%`);
+  if (modifier.vaultCapacityBonus) parts.push(`vault capacity ${modifier.vaultCapacityBonus > 0 ? "+" : ""}${modifier.vaultCapacityBonus} gp`);
   if (modifier.bastionDurationType === "nextBastionTurn") {
     parts.push(game.i18n.localize("INDYVENTURES.EffectSummary.BastionDurationNextTurn"));
   }
@@ -170,7 +193,7 @@ function appendBastionModifierSection(message, html) {
   if (!bastionData || !Array.isArray(bastionData.orders)) return;
 
   const actor = message.getAssociatedActor?.() ?? game.actors.get(message.speaker?.actor);
-  if (!actor || actor.type !== "character") return;
+  if (!isVentureOwnerActor(actor)) return;
 
   const rows = collectBastionCardModifiers(actor);
   if (!rows.length) return;
@@ -248,17 +271,84 @@ async function requestUserRoll({ formula, actor, facilityName, rollLabel }) {
   return doRoll();
 }
 
-async function rerenderSummaryMessage(message, actorUuid, results) {
+function getNetClass(net) {
+  return net > 0 ? "is-positive" : (net < 0 ? "is-negative" : "is-neutral");
+}
+
+export async function renderBastionEconomyContent(sections = []) {
+  const partyTotals = { net: 0, treasury: 0, ventures: 0, grew: 0, degraded: 0, failed: 0 };
+  const preparedSections = sections.map(section => {
+    const results = section.results ?? [];
+    const net = roundGp(results.reduce((total, result) => total + (Number(result.net) || 0), 0));
+    if (!section.reverted) {
+      partyTotals.net = roundGp(partyTotals.net + net);
+      partyTotals.treasury = roundGp(partyTotals.treasury + results.reduce((total, result) => total + (Number(result.treasury) || 0), 0));
+      partyTotals.ventures += results.length;
+      partyTotals.grew += results.filter(result => result.grew).length;
+      partyTotals.degraded += results.filter(result => result.degraded).length;
+      partyTotals.failed += results.filter(result => result.failed).length;
+    }
+    return {
+      ...section,
+      canRevert: Boolean(section.turnSnapshot) && !section.reverted,
+      totals: { net, netClass: getNetClass(net) }
+    };
+  });
+  partyTotals.netClass = getNetClass(partyTotals.net);
+  return getRenderTemplate()(TEMPLATE_PATHS.chatEconomy, {
+    sections: preparedSections,
+    totals: partyTotals,
+    moduleId: MODULE_ID
+  });
+}
+
+// Combined economy reports hold one section per actor; single summaries are treated as one section.
+function getSummarySections(message) {
+  if (message.getFlag(MODULE_ID, "type") === "bastionEconomy") {
+    return foundry.utils.deepClone(message.getFlag(MODULE_ID, "sections")) ?? [];
+  }
+  return [{
+    actorUuid: message.getFlag(MODULE_ID, "actorUuid"),
+    sourceMessageUuid: message.getFlag(MODULE_ID, "sourceMessageUuid") ?? "",
+    results: foundry.utils.deepClone(message.getFlag(MODULE_ID, "results")) ?? [],
+    turnSnapshot: message.getFlag(MODULE_ID, "turnSnapshot") ?? null,
+    reverted: Boolean(message.getFlag(MODULE_ID, "reverted"))
+  }];
+}
+
+function findSummarySection(message, { facilityUuid = "", actorUuid = "" } = {}) {
+  const sections = getSummarySections(message);
+  return sections.find(section => (actorUuid && (section.actorUuid === actorUuid))
+    || (facilityUuid && (section.results ?? []).some(result => result.facilityUuid === facilityUuid)))
+    ?? sections[0]
+    ?? null;
+}
+
+async function rerenderSummaryMessage(message, actorUuid, results, { reverted = null } = {}) {
   const renderTemplate = getRenderTemplate();
+  if (message.getFlag(MODULE_ID, "type") === "bastionEconomy") {
+    const sections = getSummarySections(message).map(section => {
+      if (section.actorUuid !== actorUuid) return section;
+      return { ...section, results, reverted: reverted ?? section.reverted };
+    });
+    return message.update({
+      content: await renderBastionEconomyContent(sections),
+      [`flags.${MODULE_ID}.sections`]: sections
+    });
+  }
   const actor = (await fromUuid(actorUuid)) ?? { name: game.i18n.localize("Unknown") };
+  const isReverted = reverted ?? Boolean(message.getFlag(MODULE_ID, "reverted"));
   const content = await renderTemplate(TEMPLATE_PATHS.chatSummary, {
     actor,
     results,
+    canRevert: Boolean(message.getFlag(MODULE_ID, "turnSnapshot")) && !isReverted,
+    reverted: isReverted,
     moduleId: MODULE_ID
   });
   return message.update({
     content,
-    [`flags.${MODULE_ID}.results`]: results
+    [`flags.${MODULE_ID}.results`]: results,
+    [`flags.${MODULE_ID}.reverted`]: isReverted
   });
 }
 
@@ -554,6 +644,7 @@ function buildModifierChangeRows(modifier) {
     "enabled",
     "applyToAllVentures",
     "facilityId",
+    "tags",
     "profitDieStep",
     "profitDieOverride",
     "minProfitDie",
@@ -562,6 +653,8 @@ function buildModifierChangeRows(modifier) {
     "maxLossDie",
     "successThresholdOverride",
     "profitRollBonus",
+    "taxRateOverride",
+    "vaultCapacityBonus",
     "durationFormula",
     "consumePerTurn",
     "bastionDurationType"
@@ -671,7 +764,7 @@ async function prepareActiveEffectRewardData(effectData, facility, actor) {
   const modifier = foundry.utils.deepClone(foundry.utils.getProperty(effectData, modifierPath) ?? {});
   if (!modifier || (typeof modifier !== "object")) return effectData;
 
-  if (!modifier.applyToAllVentures && !modifier.facilityId && !modifier.facilityUuid) {
+  if (!modifier.applyToAllVentures && !modifier.facilityId && !modifier.facilityUuid && !parseVentureTags(modifier.tags).length) {
     modifier.facilityId = facility.id;
   }
 
@@ -727,7 +820,7 @@ async function prepareActiveEffectRewardData(effectData, facility, actor) {
   return effectData;
 }
 
-async function grantBoonReward(actor, facility, boon) {
+export async function grantBoonReward(actor, facility, boon) {
   if (!boon.rewardUuid) return null;
 
   const rewardDoc = await fromUuid(boon.rewardUuid);
@@ -807,18 +900,46 @@ async function grantBoonReward(actor, facility, boon) {
   }));
 }
 
-async function promptClaimAmount(maxAmount, ventureName) {
+function escapeHtmlAttribute(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function buildClaimRecipientField(recipients, selectedUuid) {
+  if (recipients.length < 2) return "";
+  const options = recipients
+    .map(recipient => {
+      const selected = recipient.uuid === selectedUuid ? " selected" : "";
+      return `<option value="${escapeHtmlAttribute(recipient.uuid)}"${selected}>${escapeHtmlAttribute(recipient.name)}</option>`;
+    })
+    .join("");
+  return `<div class="form-group"><label>${game.i18n.localize("INDYVENTURES.Prompt.ClaimRecipient")}</label>`
+    + `<div class="form-fields"><select name="recipient">${options}</select></div></div>`;
+}
+
+// Group ventures can pay out to the group itself or to a member the claiming user owns.
+function getClaimRecipients(actor, user = game.user) {
+  const members = getGroupMembers(actor).filter(member => member.testUserPermission(user, "OWNER"));
+  return [actor, ...members];
+}
+
+async function promptClaimAmount(maxAmount, ventureName, recipients = []) {
   const title = game.i18n.localize("INDYVENTURES.Prompt.ClaimTitle");
+  const defaultRecipient = recipients.find(recipient => recipient.id === game.user.character?.id) ?? recipients[0];
   const content = game.i18n.format("INDYVENTURES.Prompt.ClaimContent", {
     venture: ventureName,
     maxAmount
-  });
+  }) + buildClaimRecipientField(recipients, defaultRecipient?.uuid);
   const confirmLabel = game.i18n.localize("INDYVENTURES.Prompt.ClaimConfirm");
   const parseAmount = form => {
     if (!form) return null;
-    const value = new FormData(form).get("amount");
-    const parsed = Number.parseInt(value, 10);
-    return Number.isFinite(parsed) ? parsed : null;
+    const data = new FormData(form);
+    const parsed = parseCurrencyAmount(data.get("amount"), null);
+    if (parsed === null) return null;
+    return { amount: parsed, recipientUuid: String(data.get("recipient") ?? defaultRecipient?.uuid ?? "") };
   };
 
   if (foundry.applications?.api?.DialogV2?.prompt) {
@@ -849,8 +970,10 @@ async function promptClaimAmount(maxAmount, ventureName) {
     content,
     callback: html => {
       const value = html.find("input[name='amount']").val();
-      const parsed = Number.parseInt(value, 10);
-      return Number.isFinite(parsed) ? parsed : null;
+      const parsed = parseCurrencyAmount(value, null);
+      if (parsed === null) return null;
+      const recipientUuid = html.find("select[name='recipient']").val() ?? defaultRecipient?.uuid ?? "";
+      return { amount: parsed, recipientUuid: String(recipientUuid) };
     }
   });
 }
@@ -899,12 +1022,13 @@ async function onPurchaseBoon(message, button) {
         requestedKey
       });
     }
-    const actorUuid = message.getFlag(MODULE_ID, "actorUuid");
-    const results = foundry.utils.deepClone(message.getFlag(MODULE_ID, "results")) ?? [];
+    const section = findSummarySection(message, { facilityUuid: facility.uuid });
+    const actorUuid = section?.actorUuid;
+    const results = section?.results ?? [];
     const summary = results.find(r => r.facilityUuid === facility.uuid);
     const turnNet = Number(summary?.net ?? state.lastTurnNet ?? 0) || 0;
 
-    const turnId = message.getFlag(MODULE_ID, "sourceMessageUuid") ?? "";
+    const turnId = section?.sourceMessageUuid ?? "";
     if (!state.turnId && turnId) {
       state.turnId = turnId;
       state.boonPurchasesTurnId = turnId;
@@ -982,7 +1106,7 @@ async function onPurchaseBoon(message, button) {
     const boonKey = String(effectivePurchaseState.key ?? buildBoonKey(boon));
     const previousPurchaseCount = getBoonPurchasesThisTurn(state, boonIndex, boonKey);
     const previousTreasury = state.treasury;
-    state.treasury -= boon.cost;
+    setTreasury(state, state.treasury - boon.cost);
     state.boonPurchases = {
       ...(state.boonPurchases ?? {}),
       [String(boonIndex)]: previousPurchaseCount + 1
@@ -1006,7 +1130,7 @@ async function onPurchaseBoon(message, button) {
       try {
         rewardName = await grantBoonReward(actor, facility, boon);
       } catch (error) {
-        state.treasury = previousTreasury;
+        setTreasury(state, previousTreasury);
         if (previousPurchaseCount > 0) {
           state.boonPurchases[String(boonIndex)] = previousPurchaseCount;
         } else {
@@ -1018,6 +1142,11 @@ async function onPurchaseBoon(message, button) {
       }
     }
 
+    const historyTurnId = state.turnId || turnId;
+    if (recordHistoryBoonPurchase(state, historyTurnId, { name: boon.name, cost: boon.cost, rewardName })) {
+      await updateFacilityVenture(facility, config, state);
+    }
+
     const notificationKey = rewardName
       ? "INDYVENTURES.Notifications.BoonPurchasedReward"
       : "INDYVENTURES.Notifications.BoonPurchased";
@@ -1036,16 +1165,103 @@ async function onPurchaseBoon(message, button) {
     }
   };
 
-  const previous = boonPurchaseLocks.get(facilityUuid) ?? Promise.resolve();
-  const current = previous.catch(() => {}).then(runPurchase);
-  boonPurchaseLocks.set(facilityUuid, current);
+  await runWithTreasuryLocks([facilityUuid], runPurchase);
+}
+
+// Moves a claim out of the treasury and into the recipient's and partners' purses in one pass.
+async function applyTreasuryClaim(facility, recipient, amount) {
+  const config = getFacilityConfig(facility);
+  const state = getFacilityState(facility, config);
+  const maxClaim = state.treasury;
+  if (!Number.isFinite(amount) || (amount <= 0) || (amount > maxClaim)) return { ok: false, maxAmount: maxClaim };
+
+  setTreasury(state, maxClaim - amount);
+  await updateFacilityVenture(facility, config, state);
+  const payouts = [];
+  const getPaid = () => roundGp(payouts.reduce((total, payout) => total + payout.amount, 0));
   try {
-    await current;
-  } finally {
-    if (boonPurchaseLocks.get(facilityUuid) === current) {
-      boonPurchaseLocks.delete(facilityUuid);
+    for (const allocation of splitPartnerShares(amount, config.partners)) {
+      const partner = await fromUuid(allocation.actorUuid).catch(() => null);
+      if (partner?.documentName !== "Actor") continue;
+      await partner.update(buildCurrencyPayoutUpdate(partner, allocation.amount));
+      payouts.push({ name: partner.name, amount: allocation.amount });
+    }
+    const ownerAmount = roundGp(amount - getPaid());
+    await recipient.update(buildCurrencyPayoutUpdate(recipient, ownerAmount));
+    return { ok: true, ownerAmount, payouts };
+  } catch (error) {
+    // Whatever was not paid out goes back, so a failed credit never loses treasury.
+    setTreasury(state, state.treasury + roundGp(amount - getPaid()));
+    await updateFacilityVenture(facility, config, state);
+    moduleLog("Treasury claim rolled back", {
+      facility: facility.name,
+      amount,
+      paid: getPaid(),
+      error: String(error?.message ?? error)
+    });
+    return { ok: false, failed: true, payouts };
+  }
+}
+
+// Players rarely own their partners' or payees' actors, so such claims and transfers are relayed whole to the active GM,
+// who checks and applies them before reporting back.
+function requestTreasuryAction(action, data) {
+  const requestId = foundry.utils.randomID();
+  return new Promise(resolve => {
+    const timeout = setTimeout(() => {
+      pendingTreasuryRequests.delete(requestId);
+      resolve(null);
+    }, TREASURY_REQUEST_TIMEOUT_MS);
+
+    pendingTreasuryRequests.set(requestId, { resolve, timeout });
+    game.socket.emit(`module.${MODULE_ID}`, {
+      type: "treasuryRequest",
+      action,
+      requestId,
+      userId: game.user.id,
+      ...data
+    });
+  });
+}
+
+export async function onTreasuryRequest(payload) {
+  if (!game.user.isActiveGM) return;
+  const user = game.users.get(payload.userId);
+  const facility = await fromUuid(payload.facilityUuid).catch(() => null);
+  const target = await fromUuid(payload.targetUuid).catch(() => null);
+  const amount = Number(payload.amount);
+  let result = { ok: false };
+  if (user && isVentureFacility(facility) && facility.actor?.testUserPermission(user, "OWNER") && target) {
+    if (payload.action === "claim") {
+      const recipient = getClaimRecipients(facility.actor, user).find(entry => entry.uuid === target.uuid);
+      if (recipient) result = await runWithTreasuryLocks([facility.uuid], () => applyTreasuryClaim(facility, recipient, amount));
+    } else if ((payload.action === "transfer") && (target.documentName === "Actor")) {
+      result = await runWithTreasuryLocks([facility.uuid], () => applyTreasuryTransfer(facility, target, amount));
     }
   }
+  moduleLog("Treasury request relayed", {
+    action: payload.action,
+    user: user?.name,
+    facility: facility?.name,
+    target: target?.name,
+    amount,
+    ok: result.ok
+  });
+  game.socket.emit(`module.${MODULE_ID}`, {
+    type: "treasuryResult",
+    requestId: payload.requestId,
+    userId: payload.userId,
+    ...result
+  });
+}
+
+export function onTreasuryResult(payload) {
+  if (payload.userId !== game.user.id) return;
+  const pending = pendingTreasuryRequests.get(payload.requestId);
+  if (!pending) return;
+  clearTimeout(pending.timeout);
+  pendingTreasuryRequests.delete(payload.requestId);
+  pending.resolve(payload);
 }
 
 async function onClaimTreasury(message, button) {
@@ -1065,33 +1281,572 @@ async function onClaimTreasury(message, button) {
   }
 
   const maxClaim = state.treasury;
-  const amount = await promptClaimAmount(maxClaim, config.ventureName || facility.name);
-  if (amount === null) return;
-  if (!Number.isFinite(amount) || (amount < 1) || (amount > maxClaim)) {
+  const recipients = getClaimRecipients(actor);
+  const claim = await promptClaimAmount(maxClaim, config.ventureName || facility.name, recipients);
+  if (!claim) return;
+  const amount = claim.amount;
+  const recipient = recipients.find(entry => entry.uuid === claim.recipientUuid) ?? actor;
+  if (!Number.isFinite(amount) || (amount <= 0) || (amount > maxClaim)) {
     ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.InvalidClaimAmount", { maxAmount: maxClaim }));
     return;
   }
 
-  state.treasury = maxClaim - amount;
-  await updateFacilityVenture(facility, config, state);
-  await actor.update({ "system.currency.gp": getActorGp(actor) + amount });
+  const relay = !game.user.isGM && splitPartnerShares(amount, config.partners).some(allocation => {
+    const partner = fromUuidSync(allocation.actorUuid);
+    return (partner?.documentName === "Actor") && !partner.isOwner;
+  });
+  if (relay && !game.users.activeGM) {
+    ui.notifications.warn("INDYVENTURES.Errors.ClaimNeedsGM", { localize: true });
+    return;
+  }
+  const claimed = await runWithTreasuryLocks([facility.uuid], () => (relay
+    ? requestTreasuryAction("claim", { facilityUuid: facility.uuid, targetUuid: recipient.uuid, amount })
+    : applyTreasuryClaim(facility, recipient, amount)));
+  if (!claimed) {
+    ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.ClaimNotConfirmed", { venture: config.ventureName || facility.name }));
+    return;
+  }
+  if (claimed.failed) {
+    ui.notifications.error(game.i18n.format("INDYVENTURES.Errors.ClaimFailed", { venture: config.ventureName || facility.name }));
+    return;
+  }
+  if (!claimed.ok) {
+    ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.InvalidClaimAmount", { maxAmount: claimed.maxAmount ?? maxClaim }));
+    return;
+  }
+  const { ownerAmount, payouts } = claimed;
 
   ui.notifications.info(game.i18n.format("INDYVENTURES.Notifications.ClaimedTreasury", {
-    amount,
+    amount: ownerAmount,
     venture: config.ventureName || facility.name,
-    actor: actor.name
+    actor: recipient.name
   }));
+  if (payouts.length) {
+    ui.notifications.info(game.i18n.format("INDYVENTURES.Notifications.ClaimedPartnerShares", {
+      venture: config.ventureName || facility.name,
+      shares: payouts.map(payout => `${payout.name} ${payout.amount} gp`).join(", ")
+    }));
+  }
+
+  await refreshSummaryTreasury(message, facility, config, getFacilityState(facility, config));
+}
 
-  const actorUuid = message.getFlag(MODULE_ID, "actorUuid");
-  const results = foundry.utils.deepClone(message.getFlag(MODULE_ID, "results")) ?? [];
+async function refreshSummaryTreasury(message, facility, config, state) {
+  const section = findSummarySection(message, { facilityUuid: facility.uuid });
+  const actorUuid = section?.actorUuid;
+  const results = section?.results ?? [];
   const summary = results.find(r => r.facilityUuid === facility.uuid);
-  if (summary) {
-    const turnNet = Number(summary?.net ?? state.lastTurnNet ?? 0) || 0;
-    summary.treasury = state.treasury;
-    summary.boons = buildSummaryBoons(config, state, turnNet);
-    summary.hasPurchasableBoons = summary.boons.some(entry => entry.purchasable);
-    await rerenderSummaryMessage(message, actorUuid, results);
+  if (!summary) return;
+  const turnNet = Number(summary?.net ?? state.lastTurnNet ?? 0) || 0;
+  summary.treasury = state.treasury;
+  summary.boons = buildSummaryBoons(config, state, turnNet);
+  summary.hasPurchasableBoons = summary.boons.some(entry => entry.purchasable);
+  await rerenderSummaryMessage(message, actorUuid, results);
+}
+
+function getCapitalUpgradeLabel(config) {
+  if (config.capitalUpgradeMode === "die") {
+    return game.i18n.format("INDYVENTURES.Invest.UpgradeDie", { cost: config.capitalUpgradeCost });
+  }
+  return game.i18n.format("INDYVENTURES.Invest.UpgradeStreak", {
+    cost: config.capitalUpgradeCost,
+    streak: config.capitalUpgradeStreak
+  });
+}
+
+async function promptInvestment(config, ventureName, availableGp) {
+  const title = game.i18n.localize("INDYVENTURES.Invest.Title");
+  let content = game.i18n.format("INDYVENTURES.Invest.Content", { venture: ventureName, availableGp });
+  if (config.capitalUpgradeMode) {
+    content += `<div class="form-group"><label>${getCapitalUpgradeLabel(config)}</label>`
+      + "<div class=\"form-fields\"><input type=\"checkbox\" name=\"capitalUpgrade\" /></div></div>";
+  }
+  const confirmLabel = game.i18n.localize("INDYVENTURES.Invest.Confirm");
+  const readForm = form => {
+    if (!form) return null;
+    const data = new FormData(form);
+    return {
+      amount: parseCurrencyAmount(data.get("amount"), 0),
+      capitalUpgrade: data.get("capitalUpgrade") !== null
+    };
+  };
+
+  if (foundry.applications?.api?.DialogV2?.prompt) {
+    return foundry.applications.api.DialogV2.prompt({
+      window: { title },
+      content,
+      rejectClose: false,
+      ok: {
+        label: confirmLabel,
+        callback: (event, button) => readForm(button?.form)
+      }
+    });
+  }
+
+  return Dialog.prompt({
+    title,
+    content: `<form>${content}</form>`,
+    callback: html => readForm(html.find("form")[0])
+  });
+}
+
+function applyCapitalUpgrade(state, config) {
+  const ladder = getDieLadder(config);
+  const previousDie = state.currentProfitDie;
+  if (config.capitalUpgradeMode === "die") {
+    state.currentProfitDie = growDie(state.currentProfitDie, ladder, config.maxProfitDie);
+    state.streak = 0;
+  } else {
+    state.streak += config.capitalUpgradeStreak;
+    if (state.streak >= config.successThreshold) {
+      state.currentProfitDie = growDie(state.currentProfitDie, ladder, config.maxProfitDie);
+      state.streak = 0;
+    }
   }
+  return { previousDie, nextDie: state.currentProfitDie, streak: state.streak };
+}
+
+export async function investInVenture(facility, { amount = 0, capitalUpgrade = false } = {}) {
+  if ((facility?.documentName !== "Item") || (facility.type !== "facility")) return null;
+  const actor = facility.actor;
+  if (!canManageVenture(actor)) {
+    ui.notifications.warn("INDYVENTURES.Errors.NotOwner", { localize: true });
+    return null;
+  }
+  return runWithTreasuryLocks([facility.uuid], () => applyVentureInvestment(facility, actor, { amount, capitalUpgrade }));
+}
+
+async function applyVentureInvestment(facility, actor, { amount, capitalUpgrade }) {
+  const config = getFacilityConfig(facility);
+  const state = getFacilityState(facility, config);
+  const ventureName = config.ventureName || facility.name;
+  if (state.failed) {
+    ui.notifications.warn("INDYVENTURES.Errors.InvestFailedVenture", { localize: true });
+    return null;
+  }
+
+  const invested = Math.max(parseCurrencyAmount(amount, 0), 0);
+  const availableGp = cpToGp(Math.floor(getActorCurrencyCp(actor)));
+  const spendUpdate = buildCurrencySpendUpdate(actor, invested);
+  if (!spendUpdate) {
+    ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.InvalidInvestAmount", { availableGp }));
+    return null;
+  }
+  const upgrade = Boolean(capitalUpgrade && config.capitalUpgradeMode);
+  if (!invested && !upgrade) return null;
+  if (upgrade) {
+    const ladder = getDieLadder(config);
+    if ((config.capitalUpgradeMode === "die") && (growDie(state.currentProfitDie, ladder, config.maxProfitDie) === state.currentProfitDie)) {
+      ui.notifications.warn("INDYVENTURES.Errors.CapitalUpgradeMaxDie", { localize: true });
+      return null;
+    }
+    if (roundGp(state.treasury + invested) < config.capitalUpgradeCost) {
+      ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.CapitalUpgradeFunds", {
+        cost: config.capitalUpgradeCost,
+        treasury: roundGp(state.treasury + invested)
+      }));
+      return null;
+    }
+  }
+
+  if (invested) await actor.update(spendUpdate);
+  setTreasury(state, state.treasury + invested);
+  let upgradeResult = null;
+  if (upgrade) {
+    setTreasury(state, state.treasury - config.capitalUpgradeCost);
+    upgradeResult = applyCapitalUpgrade(state, config);
+  }
+  await updateFacilityVenture(facility, config, state);
+
+  if (invested) {
+    ui.notifications.info(game.i18n.format("INDYVENTURES.Notifications.Invested", {
+      amount: invested,
+      venture: ventureName,
+      actor: actor.name
+    }));
+  }
+  if (upgradeResult) {
+    ui.notifications.info(game.i18n.format("INDYVENTURES.Notifications.CapitalUpgraded", {
+      venture: ventureName,
+      cost: config.capitalUpgradeCost,
+      die: upgradeResult.nextDie,
+      streak: upgradeResult.streak
+    }));
+  }
+  moduleLog("Venture investment", {
+    actor: actor.name,
+    facility: facility.name,
+    invested,
+    capitalUpgrade: upgradeResult,
+    treasury: state.treasury
+  });
+  return { invested, capitalUpgrade: upgradeResult, treasury: state.treasury, config, state };
+}
+
+export async function openVentureInvestment(facility) {
+  const actor = facility?.actor;
+  if (!canManageVenture(actor)) {
+    ui.notifications.warn("INDYVENTURES.Errors.NotOwner", { localize: true });
+    return null;
+  }
+  const config = getFacilityConfig(facility);
+  const request = await promptInvestment(config, config.ventureName || facility.name, cpToGp(Math.floor(getActorCurrencyCp(actor))));
+  if (!request) return null;
+  return investInVenture(facility, request);
+}
+
+async function onInvestTreasury(message, button) {
+  const facility = await fromUuid(button.dataset.facilityUuid);
+  if (!facility || facility.documentName !== "Item") return;
+  const result = await openVentureInvestment(facility);
+  if (!result) return;
+  await refreshSummaryTreasury(message, facility, result.config, result.state);
+}
+
+function isVentureFacility(document) {
+  return (document?.documentName === "Item")
+    && (document.type === "facility")
+    && Boolean(document.getFlag(MODULE_ID, "config"));
+}
+
+async function resolveTransferDocument(value) {
+  if (typeof value === "string") return fromUuid(value);
+  return value ?? null;
+}
+
+// Every treasury change chains on the facilities it touches, so purchases, claims, investments, transfers and relaunches settle one at a time.
+export async function runWithTreasuryLocks(keys, task) {
+  const previous = Promise.all(keys.map(key => treasuryLocks.get(key) ?? Promise.resolve()));
+  const current = previous.catch(() => {}).then(task);
+  for (const key of keys) treasuryLocks.set(key, current);
+  try {
+    return await current;
+  } finally {
+    for (const key of keys) {
+      if (treasuryLocks.get(key) === current) treasuryLocks.delete(key);
+    }
+  }
+}
+
+function getTransferTargetName(target) {
+  if (target.documentName === "Item") {
+    const ventureName = getFacilityConfig(target).ventureName || target.name;
+    return target.actor ? `${ventureName} (${target.actor.name})` : ventureName;
+  }
+  return target.name;
+}
+
+async function postTransferRecord(source, target, amount) {
+  const renderTemplate = getRenderTemplate();
+  const transfer = {
+    amount,
+    sourceName: getTransferTargetName(source),
+    targetName: getTransferTargetName(target),
+    toVenture: target.documentName === "Item"
+  };
+  const content = await renderTemplate(TEMPLATE_PATHS.chatTransfer, { transfer });
+  return ChatMessage.implementation.create({
+    content,
+    speaker: ChatMessage.getSpeaker?.({ actor: source.actor }) ?? ChatMessage.implementation.getSpeaker({ actor: source.actor }),
+    flags: {
+      [MODULE_ID]: {
+        type: "treasuryTransfer",
+        sourceUuid: source.uuid,
+        targetUuid: target.uuid,
+        amount
+      }
+    }
+  });
+}
+
+async function applyTreasuryTransfer(source, destination, value) {
+  const sourceConfig = getFacilityConfig(source);
+  const sourceState = getFacilityState(source, sourceConfig);
+  if (!Number.isFinite(value) || (value <= 0) || (value > sourceState.treasury)) return { ok: false, maxAmount: sourceState.treasury };
+
+  setTreasury(sourceState, sourceState.treasury - value);
+  await updateFacilityVenture(source, sourceConfig, sourceState);
+  try {
+    if (destination.documentName === "Item") {
+      const targetConfig = getFacilityConfig(destination);
+      const targetState = getFacilityState(destination, targetConfig);
+      setTreasury(targetState, targetState.treasury + value);
+      await updateFacilityVenture(destination, targetConfig, targetState);
+    } else {
+      await destination.update(buildCurrencyPayoutUpdate(destination, value));
+    }
+  } catch (error) {
+    setTreasury(sourceState, sourceState.treasury + value);
+    await updateFacilityVenture(source, sourceConfig, sourceState);
+    moduleLog("Venture treasury transfer rolled back", {
+      source: source.uuid,
+      target: destination.uuid,
+      amount: value,
+      error: String(error?.message ?? error)
+    });
+    return { ok: false, failed: true };
+  }
+  return { ok: true };
+}
+
+export async function transferTreasury(fromFacility, target, amount) {
+  const source = await resolveTransferDocument(fromFacility);
+  const destination = await resolveTransferDocument(target);
+  if (!isVentureFacility(source)) {
+    ui.notifications.warn("INDYVENTURES.Errors.TransferInvalidSource", { localize: true });
+    return null;
+  }
+  const toVenture = destination?.documentName === "Item";
+  if ((toVenture && !isVentureFacility(destination)) || (!toVenture && (destination?.documentName !== "Actor"))) {
+    ui.notifications.warn("INDYVENTURES.Errors.TransferInvalidTarget", { localize: true });
+    return null;
+  }
+  if (destination.uuid === source.uuid) {
+    ui.notifications.warn("INDYVENTURES.Errors.TransferSameVenture", { localize: true });
+    return null;
+  }
+  if (!canManageVenture(source.actor) || (toVenture && !canManageVenture(destination.actor))) {
+    ui.notifications.warn("INDYVENTURES.Errors.NotOwner", { localize: true });
+    return null;
+  }
+
+  const relay = !toVenture && !game.user.isGM && !destination.isOwner;
+  if (relay && !game.users.activeGM) {
+    ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.TransferNoGM", { actor: destination.name }));
+    return null;
+  }
+
+  return runWithTreasuryLocks([source.uuid, destination.uuid], async () => {
+    const value = parseCurrencyAmount(amount, NaN);
+    const transferred = relay
+      ? await requestTreasuryAction("transfer", { facilityUuid: source.uuid, targetUuid: destination.uuid, amount: value })
+      : await applyTreasuryTransfer(source, destination, value);
+    if (!transferred) {
+      ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.TransferNotConfirmed", { actor: destination.name }));
+      return null;
+    }
+    if (transferred.failed) {
+      ui.notifications.error(game.i18n.format("INDYVENTURES.Errors.TransferFailed", { target: getTransferTargetName(destination) }));
+      return null;
+    }
+    if (!transferred.ok) {
+      ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.InvalidTransferAmount", {
+        maxAmount: transferred.maxAmount ?? getFacilityState(source).treasury
+      }));
+      return null;
+    }
+
+    ui.notifications.info(game.i18n.format("INDYVENTURES.Notifications.TreasuryTransferred", {
+      amount: value,
+      source: getTransferTargetName(source),
+      target: getTransferTargetName(destination)
+    }));
+    moduleLog("Venture treasury transferred", {
+      source: source.uuid,
+      target: destination.uuid,
+      amount: value
+    });
+    await postTransferRecord(source, destination, value);
+    const sourceConfig = getFacilityConfig(source);
+    return { amount: value, source, target: destination, config: sourceConfig, state: getFacilityState(source, sourceConfig) };
+  });
+}
+
+function getTransferTargets(source) {
+  const ventures = [];
+  const actors = [];
+  for (const actor of game.actors ?? []) {
+    if (!isVentureOwnerActor(actor)) continue;
+    actors.push({ uuid: actor.uuid, name: actor.name });
+    if (!canManageVenture(actor)) continue;
+    for (const facility of actor.itemTypes?.facility ?? []) {
+      if (!isVentureFacility(facility) || (facility.uuid === source.uuid)) continue;
+      ventures.push({ uuid: facility.uuid, name: getTransferTargetName(facility) });
+    }
+  }
+  return { ventures, actors };
+}
+
+async function promptTreasuryTransfer(source, maxAmount) {
+  const { ventures, actors } = getTransferTargets(source);
+  const buildOptions = entries => entries
+    .map(entry => `<option value="${escapeHtmlAttribute(entry.uuid)}">${escapeHtmlAttribute(entry.name)}</option>`)
+    .join("");
+  const title = game.i18n.localize("INDYVENTURES.Transfer.Title");
+  const content = game.i18n.format("INDYVENTURES.Transfer.Content", {
+    venture: escapeHtmlAttribute(getTransferTargetName(source)),
+    maxAmount
+  })
+    + `<div class="form-group"><label>${game.i18n.localize("INDYVENTURES.Transfer.Target")}</label>`
+    + "<div class=\"form-fields\"><select name=\"target\">"
+    + (ventures.length ? `<optgroup label="${escapeHtmlAttribute(game.i18n.localize("INDYVENTURES.Transfer.Ventures"))}">${buildOptions(ventures)}</optgroup>` : "")
+    + `<optgroup label="${escapeHtmlAttribute(game.i18n.localize("INDYVENTURES.Transfer.Actors"))}">${buildOptions(actors)}</optgroup>`
+    + "</select></div></div>";
+  const confirmLabel = game.i18n.localize("INDYVENTURES.Transfer.Confirm");
+  const readForm = form => {
+    if (!form) return null;
+    const data = new FormData(form);
+    return {
+      targetUuid: String(data.get("target") ?? "").trim(),
+      amount: parseCurrencyAmount(data.get("amount"), NaN)
+    };
+  };
+
+  if (foundry.applications?.api?.DialogV2?.prompt) {
+    return foundry.applications.api.DialogV2.prompt({
+      window: { title },
+      content,
+      rejectClose: false,
+      ok: {
+        label: confirmLabel,
+        callback: (event, button) => readForm(button?.form)
+      }
+    });
+  }
+
+  return Dialog.prompt({
+    title,
+    content: `<form>${content}</form>`,
+    callback: html => readForm(html.find("form")[0])
+  });
+}
+
+export async function openTreasuryTransfer(facility) {
+  if (!isVentureFacility(facility)) return null;
+  if (!canManageVenture(facility.actor)) {
+    ui.notifications.warn("INDYVENTURES.Errors.NotOwner", { localize: true });
+    return null;
+  }
+  const state = getFacilityState(facility);
+  if (!state.treasury) {
+    ui.notifications.warn("INDYVENTURES.Errors.NoTreasury", { localize: true });
+    return null;
+  }
+  const request = await promptTreasuryTransfer(facility, state.treasury);
+  if (!request?.targetUuid) return null;
+  return transferTreasury(facility, request.targetUuid, request.amount);
+}
+
+async function onTransferTreasury(message, button) {
+  const facility = await fromUuid(button.dataset.facilityUuid);
+  if (!facility || facility.documentName !== "Item") return;
+  const result = await openTreasuryTransfer(facility);
+  if (!result) return;
+  await refreshSummaryTreasury(message, facility, result.config, result.state);
+}
+
+async function confirmRevertTurn(actorName) {
+  if (!foundry.applications?.api?.DialogV2?.confirm) return true;
+  return foundry.applications.api.DialogV2.confirm({
+    window: { title: game.i18n.localize("INDYVENTURES.Prompt.RevertTurnTitle") },
+    content: `<p>${game.i18n.format("INDYVENTURES.Prompt.RevertTurnContent", { actor: actorName })}</p>`,
+    rejectClose: false
+  });
+}
+
+async function restoreSnapshotCurrency(actor, currency) {
+  if (!actor || !currency?.before || !currency?.after) return;
+  // Apply only the wallet's own change so unrelated spending since the turn is kept.
+  const update = {};
+  for (const [key, before] of Object.entries(currency.before)) {
+    const spent = (Number(before) || 0) - (Number(currency.after[key]) || 0);
+    if (!spent) continue;
+    const current = Number(actor.system?.currency?.[key] ?? 0) || 0;
+    update[`system.currency.${key}`] = Math.max(current + spent, 0);
+  }
+  if (Object.keys(update).length) await actor.update(update);
+}
+
+async function restoreSnapshotEffects(effects = []) {
+  for (const entry of effects) {
+    const owner = await fromUuid(entry.ownerUuid);
+    if (!owner?.effects) continue;
+    const updates = (entry.updates ?? []).filter(update => owner.effects.has(update._id));
+    const creates = (entry.deleted ?? []).filter(effect => !owner.effects.has(effect._id));
+    if (updates.length) await owner.updateEmbeddedDocuments("ActiveEffect", updates);
+    if (creates.length) await owner.createEmbeddedDocuments("ActiveEffect", creates, { keepId: true });
+  }
+}
+
+async function removeSnapshotCreatedDocuments(created = []) {
+  for (const entry of created) {
+    const owner = await fromUuid(entry.ownerUuid);
+    const collection = entry.documentName === "Item" ? owner?.items : owner?.effects;
+    const ids = (entry.ids ?? []).filter(id => collection?.has(id));
+    if (ids.length) await owner.deleteEmbeddedDocuments(entry.documentName, ids);
+  }
+}
+
+// Rewards bought from the card after the turn live on the actor, and the snapshot cannot take them back.
+function getPurchasedRewardBoonNames(facility, state) {
+  if (!state.turnId || (state.boonPurchasesTurnId !== state.turnId)) return [];
+  const boons = parseBoonsFromConfig(getFacilityConfig(facility));
+  return Object.entries(state.boonPurchases ?? {})
+    .map(([index, count]) => ({ boon: boons[Number(index)], count: Number(count) || 0 }))
+    .filter(({ boon, count }) => (count > 0) && boon?.rewardUuid)
+    .map(({ boon }) => boon.name);
+}
+
+export async function revertVentureTurn(message, actorUuid = "") {
+  if (!game.user.isGM) {
+    ui.notifications.warn("INDYVENTURES.Errors.RevertGMOnly", { localize: true });
+    return false;
+  }
+  const section = message ? findSummarySection(message, { actorUuid }) : null;
+  const snapshot = foundry.utils.deepClone(section?.turnSnapshot ?? null);
+  if (!snapshot || section.reverted) {
+    ui.notifications.warn("INDYVENTURES.Errors.NoTurnSnapshot", { localize: true });
+    return false;
+  }
+
+  const restores = [];
+  for (const entry of snapshot.facilities ?? []) {
+    const facility = await fromUuid(entry.uuid);
+    if (!facility || facility.documentName !== "Item") continue;
+    const state = getFacilityState(facility);
+    // Only the latest turn can be reverted; a later turn would be silently discarded otherwise.
+    if (state.turnId !== snapshot.turnId) {
+      ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.RevertStaleTurn", {
+        venture: getFacilityConfig(facility).ventureName || facility.name
+      }));
+      return false;
+    }
+    const purchasedRewards = getPurchasedRewardBoonNames(facility, state);
+    if (purchasedRewards.length) {
+      ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.RevertBoonsPurchased", {
+        venture: getFacilityConfig(facility).ventureName || facility.name,
+        boons: purchasedRewards.join(", ")
+      }));
+      return false;
+    }
+    restores.push({ facility, entry });
+  }
+
+  const actor = await fromUuid(snapshot.actorUuid);
+  if (!(await confirmRevertTurn(actor?.name ?? ""))) return false;
+
+  for (const { facility, entry } of restores) {
+    await updateFacilityVenture(facility, entry.config, entry.state);
+  }
+  await restoreSnapshotCurrency(actor, snapshot.currency);
+  for (const entry of snapshot.partnerCurrency ?? []) {
+    await restoreSnapshotCurrency(await fromUuid(entry.actorUuid), entry);
+  }
+  await restoreSnapshotEffects(snapshot.effects);
+  await removeSnapshotCreatedDocuments(snapshot.created);
+
+  moduleLog("Venture turn reverted", {
+    actor: actor?.name ?? snapshot.actorUuid,
+    turnId: snapshot.turnId,
+    facilities: restores.map(({ facility }) => facility.name),
+    effectOwners: (snapshot.effects ?? []).length
+  });
+
+  await rerenderSummaryMessage(message, snapshot.actorUuid, section.results ?? [], { reverted: true });
+  ui.notifications.info(game.i18n.format("INDYVENTURES.Notifications.TurnReverted", {
+    actor: actor?.name ?? ""
+  }));
+  return true;
 }
 
 function onToggleBoonDetails(button) {
@@ -1108,6 +1863,20 @@ function onToggleBoonDetails(button) {
   button.dataset.tooltip = tooltip;
 }
 
+// Clicking a tag shows only the ventures carrying it; clicking the active tag again clears the filter.
+function onFilterVentureTag(htmlRoot, button) {
+  const tag = String(button.dataset.tag ?? "");
+  const active = htmlRoot.dataset.indyTagFilter === tag ? "" : tag;
+  htmlRoot.dataset.indyTagFilter = active;
+  for (const row of htmlRoot.querySelectorAll(".indy-venture-row")) {
+    const tags = [...row.querySelectorAll(".indy-venture-tag")].map(element => element.dataset.tag);
+    row.hidden = Boolean(active) && !tags.includes(active);
+  }
+  for (const element of htmlRoot.querySelectorAll(".indy-venture-tag")) {
+    element.classList.toggle("active", Boolean(active) && (element.dataset.tag === active));
+  }
+}
+
 export function registerChatHooks() {
   Hooks.on("dnd5e.renderChatMessage", (message, html) => {
     const htmlRoot = resolveMessageHtmlRoot(html);
@@ -1115,7 +1884,10 @@ export function registerChatHooks() {
     appendBastionModifierSection(message, htmlRoot);
 
     const type = message.getFlag(MODULE_ID, "type");
-    if (type !== "ventureSummary") return;
+    if (!["ventureSummary", "bastionEconomy"].includes(type)) return;
+    if (!game.user.isGM) {
+      for (const element of htmlRoot.querySelectorAll(".indy-venture-revert-actions")) element.remove();
+    }
     if (htmlRoot.dataset.indyVenturesBound === "1") return;
     htmlRoot.dataset.indyVenturesBound = "1";
 
@@ -1137,8 +1909,15 @@ export function registerChatHooks() {
         onToggleBoonDetails(button);
         return;
       }
+      if (button.dataset.action === "filterVentureTag") {
+        onFilterVentureTag(htmlRoot, button);
+        return;
+      }
       if (button.dataset.action === "purchaseBoon") onPurchaseBoon(message, button);
       if (button.dataset.action === "claimTreasury") onClaimTreasury(message, button);
+      if (button.dataset.action === "investTreasury") onInvestTreasury(message, button);
+      if (button.dataset.action === "transferTreasury") onTransferTreasury(message, button);
+      if (button.dataset.action === "revertTurn") revertVentureTurn(message, button.dataset.actorUuid);
     });
   });
 }
@@ -1,13 +1,32 @@
-import { DICE_STEPS, MODULE_ID } from "./constants.js";
+import {
+  CARD_VISIBILITIES,
+  FACILITY_SIZE_DICE,
+  MILESTONE_TYPES,
+  MODULE_ID,
+  ROLL_MODES,
+  ROLL_POLICIES,
+  STAFF_ROLES,
+  VAULT_CAPACITY_BY_SIZE,
+  VAULT_MODES,
+  VAULT_OVERFLOW_RULES
+} from "./constants.js";
 import {
   asBoolean,
   asInteger,
   clamp,
+  cpToGp,
+  dieLadderIndex,
+  getDieLadder,
+  gpToCp,
+  matchesVentureTags,
   normalizeDie,
   parseBoonPerTurnLimit,
   parseBoonPurchaseWhen,
   parseBoonsText,
-  resolveRewardDocumentSync
+  parseCurrencyAmount,
+  parseVentureTags,
+  resolveRewardDocumentSync,
+  roundGp
 } from "./utils.js";
 
 const FLAG_CONFIG = `flags.${MODULE_ID}.config`;
@@ -23,14 +42,20 @@ export function getInitialConfig(facility) {
 
 export function getInitialState(config) {
   return {
-    currentProfitDie: normalizeDie(config?.profitDie, "d6"),
+    currentProfitDie: normalizeDie(config?.startingProfitDie ?? config?.profitDie, "d6", getDieLadder(config)),
     streak: 0,
     treasury: 0,
+    treasuryCp: 0,
     failed: false,
     lastTurnNet: 0,
+    profitStreak: 0,
+    lifetimeEarnings: 0,
+    milestones: {},
     turnId: "",
+    turnCommit: null,
     boonPurchasesTurnId: "",
-    boonPurchases: {}
+    boonPurchases: {},
+    history: []
   };
 }
 
@@ -38,14 +63,45 @@ export function sanitizeConfig(raw = {}, facility = null) {
   const base = {
     enabled: false,
     ventureName: facility?.name ?? "",
+    tags: [],
+    dieLadderText: "",
     profitDie: "d6",
+    sizeDice: false,
     lossDie: "d6",
     lossModifier: 0,
+    profitFormula: "",
+    lossFormula: "",
+    rollPolicy: "",
+    rollMode: "",
+    cardVisibility: "",
     gpPerPoint: 100,
+    rentCost: 0,
+    upkeepCost: 0,
+    duesCost: 0,
+    relaunchCost: 0,
+    capitalUpgradeMode: "",
+    capitalUpgradeCost: 1000,
+    capitalUpgradeStreak: 1,
     autoUseTreasuryLoss: true,
     autoCoverLoss: false,
+    vaultMode: "",
+    vaultCapacity: 1000,
+    vaultOverflow: "payout",
     naturalOneDegradesProfitDie: true,
     successThreshold: 3,
+    checkType: "",
+    checkSkill: "per",
+    checkTool: "",
+    checkDc: 15,
+    checkManagerUuid: "",
+    checkSuccessStep: 1,
+    checkSuccessBonus: 0,
+    checkFailureStep: 0,
+    checkFailureBonus: 0,
+    eventTableUuid: "",
+    staff: [],
+    partners: [],
+    milestones: [],
     boonsText: ""
   };
 
@@ -53,29 +109,194 @@ export function sanitizeConfig(raw = {}, facility = null) {
 
   merged.enabled = asBoolean(merged.enabled, false);
   merged.ventureName = String(merged.ventureName ?? "").trim();
-  merged.profitDie = normalizeDie(merged.profitDie, "d6");
-  merged.lossDie = normalizeDie(merged.lossDie, "d6");
-  merged.lossModifier = clamp(asInteger(merged.lossModifier, 0), -4, 4);
-  merged.gpPerPoint = Math.max(asInteger(merged.gpPerPoint, 100), 0);
+  merged.tags = parseVentureTags(merged.tags);
+  merged.dieLadderText = String(merged.dieLadderText ?? "").trim();
+  const ladder = getDieLadder(merged);
+  merged.profitDie = normalizeDie(merged.profitDie, "d6", ladder);
+  merged.sizeDice = asBoolean(merged.sizeDice, false);
+  // Size-driven dice are derived from the facility every time, so enlarging it needs no config change.
+  const sizeDice = merged.sizeDice ? getFacilitySizeDice(facility) : null;
+  merged.startingProfitDie = sizeDice ? normalizeDie(sizeDice.profitDie, merged.profitDie, ladder) : merged.profitDie;
+  merged.maxProfitDie = (sizeDice && ladder.includes(sizeDice.maxProfitDie)) ? sizeDice.maxProfitDie : "";
+  merged.lossDie = normalizeDie(merged.lossDie, "d6", ladder);
+  const maxLossModifier = Math.max(ladder.length - 1, 4);
+  merged.lossModifier = clamp(asInteger(merged.lossModifier, 0), -maxLossModifier, maxLossModifier);
+  merged.profitFormula = String(merged.profitFormula ?? "").trim();
+  merged.lossFormula = String(merged.lossFormula ?? "").trim();
+  merged.rollPolicy = ROLL_POLICIES.includes(merged.rollPolicy) ? merged.rollPolicy : "";
+  merged.rollMode = ROLL_MODES.includes(merged.rollMode) ? merged.rollMode : "";
+  merged.cardVisibility = CARD_VISIBILITIES.includes(merged.cardVisibility) ? merged.cardVisibility : "";
+  merged.gpPerPoint = Math.max(parseCurrencyAmount(merged.gpPerPoint, 100), 0);
+  merged.rentCost = Math.max(parseCurrencyAmount(merged.rentCost, 0), 0);
+  merged.upkeepCost = Math.max(parseCurrencyAmount(merged.upkeepCost, 0), 0);
+  merged.duesCost = Math.max(parseCurrencyAmount(merged.duesCost, 0), 0);
+  merged.relaunchCost = Math.max(parseCurrencyAmount(merged.relaunchCost, 0), 0);
+  merged.capitalUpgradeMode = ["die", "streak"].includes(merged.capitalUpgradeMode) ? merged.capitalUpgradeMode : "";
+  merged.capitalUpgradeCost = Math.max(parseCurrencyAmount(merged.capitalUpgradeCost, 1000), 0);
+  merged.capitalUpgradeStreak = clamp(asInteger(merged.capitalUpgradeStreak, 1), 1, 12);
   merged.autoUseTreasuryLoss = asBoolean(merged.autoUseTreasuryLoss, true);
   merged.autoCoverLoss = asBoolean(merged.autoCoverLoss, false);
+  merged.vaultMode = VAULT_MODES.includes(merged.vaultMode) ? merged.vaultMode : "";
+  merged.vaultCapacity = Math.max(parseCurrencyAmount(merged.vaultCapacity, 1000), 0);
+  merged.vaultOverflow = VAULT_OVERFLOW_RULES.includes(merged.vaultOverflow) ? merged.vaultOverflow : "payout";
   merged.naturalOneDegradesProfitDie = asBoolean(merged.naturalOneDegradesProfitDie, true);
   merged.successThreshold = clamp(asInteger(merged.successThreshold, 3), 1, 12);
+  merged.checkType = ["skill", "tool"].includes(merged.checkType) ? merged.checkType : "";
+  merged.checkSkill = String(merged.checkSkill ?? "").trim();
+  merged.checkTool = String(merged.checkTool ?? "").trim();
+  merged.checkDc = clamp(asInteger(merged.checkDc, 15), 1, 40);
+  merged.checkManagerUuid = String(merged.checkManagerUuid ?? "").trim();
+  merged.checkSuccessStep = clamp(asInteger(merged.checkSuccessStep, 1), -maxLossModifier, maxLossModifier);
+  merged.checkSuccessBonus = asInteger(merged.checkSuccessBonus, 0);
+  merged.checkFailureStep = clamp(asInteger(merged.checkFailureStep, 0), -maxLossModifier, maxLossModifier);
+  merged.checkFailureBonus = asInteger(merged.checkFailureBonus, 0);
+  merged.eventTableUuid = String(merged.eventTableUuid ?? "").trim();
+  merged.staff = sanitizeStaff(merged.staff);
+  merged.partners = sanitizePartners(merged.partners, facility);
+  merged.milestones = sanitizeMilestones(merged.milestones, ladder);
   merged.boonsText = String(merged.boonsText ?? "");
   delete merged.preset;
   return merged;
 }
 
+export function getFacilitySizeDice(facility) {
+  return FACILITY_SIZE_DICE[facility?.system?.size] ?? null;
+}
+
+export function getFacilitySizeLabel(size) {
+  const label = CONFIG.DND5E?.facilities?.sizes?.[size]?.label;
+  return label ? game.i18n.localize(label) : String(size ?? "");
+}
+
+// Sheet form submissions arrive as index-keyed objects rather than arrays.
+function toEntryArray(raw) {
+  if (Array.isArray(raw)) return raw;
+  return Object.entries(raw ?? {})
+    .sort(([first], [second]) => Number(first) - Number(second))
+    .map(([, entry]) => entry);
+}
+
+function sanitizeStaff(raw) {
+  return toEntryArray(raw)
+    .filter(entry => entry && (typeof entry === "object"))
+    .map(entry => ({
+      id: String(entry.id ?? "").trim() || foundry.utils.randomID(),
+      name: String(entry.name ?? "").trim(),
+      actorUuid: String(entry.actorUuid ?? "").trim(),
+      role: Object.prototype.hasOwnProperty.call(STAFF_ROLES, entry.role) ? entry.role : "worker",
+      wage: Math.max(parseCurrencyAmount(entry.wage, 0), 0)
+    }));
+}
+
+// Shares are capped so the partners never hold more than 100% between them.
+function sanitizePartners(raw, facility = null) {
+  const seen = new Set([facility?.actor?.uuid].filter(Boolean));
+  let remaining = 100;
+  const partners = [];
+  for (const entry of toEntryArray(raw)) {
+    const actorUuid = String(entry?.actorUuid ?? "").trim();
+    if (!actorUuid || seen.has(actorUuid)) continue;
+    seen.add(actorUuid);
+    const share = clamp(asInteger(entry.share, 0), 0, remaining);
+    remaining -= share;
+    partners.push({ actorUuid, share });
+  }
+  return partners;
+}
+
+function sanitizeMilestoneTarget(type, value, ladder) {
+  if (type === "profitDie") return normalizeDie(value, ladder.at(-1), ladder);
+  if (type === "profitStreak") return clamp(asInteger(value, 5), 1, 100);
+  return Math.max(parseCurrencyAmount(value, 10000), 0);
+}
+
+function sanitizeMilestones(raw, ladder) {
+  return toEntryArray(raw)
+    .filter(entry => entry && (typeof entry === "object"))
+    .map(entry => {
+      const type = Object.prototype.hasOwnProperty.call(MILESTONE_TYPES, entry.type) ? entry.type : "profitDie";
+      return {
+        id: String(entry.id ?? "").trim() || foundry.utils.randomID(),
+        name: String(entry.name ?? "").trim(),
+        type,
+        target: sanitizeMilestoneTarget(type, entry.target, ladder),
+        rewardUuid: String(entry.rewardUuid ?? "").trim(),
+        announce: asBoolean(entry.announce, true)
+      };
+    });
+}
+
+// Reached milestones are keyed by milestone id, so renaming one in the config keeps its record.
+function sanitizeReachedMilestones(raw) {
+  const reached = {};
+  if (!raw || (typeof raw !== "object")) return reached;
+  for (const [id, entry] of Object.entries(raw)) {
+    if (!entry || (typeof entry !== "object")) continue;
+    reached[id] = {
+      name: String(entry.name ?? ""),
+      turnId: String(entry.turnId ?? ""),
+      timestamp: Math.max(asInteger(entry.timestamp, 0), 0)
+    };
+  }
+  return reached;
+}
+
+export function isMilestoneReached(milestone, state, ladder) {
+  if (milestone.type === "profitDie") {
+    return !state.failed && (dieLadderIndex(state.currentProfitDie, ladder) >= dieLadderIndex(milestone.target, ladder));
+  }
+  if (milestone.type === "profitStreak") return state.profitStreak >= milestone.target;
+  return state.lifetimeEarnings >= milestone.target;
+}
+
+export function describeMilestoneGoal(milestone) {
+  const type = MILESTONE_TYPES[milestone?.type] ?? MILESTONE_TYPES.profitDie;
+  return game.i18n.format(type.goal, { target: milestone?.target ?? "" });
+}
+
+// Treasury changes go through here so the copper value and its gp mirror never disagree.
+export function setTreasury(state, gp) {
+  state.treasuryCp = Math.max(gpToCp(gp), 0);
+  state.treasury = cpToGp(state.treasuryCp);
+  return state.treasury;
+}
+
+// Returns null when the venture has no vault cap. Unknown facility sizes use the cramped capacity.
+export function getVaultCapacity(facility, config, bonus = 0) {
+  if (!config?.vaultMode) return null;
+  const base = config.vaultMode === "custom"
+    ? config.vaultCapacity
+    : (VAULT_CAPACITY_BY_SIZE[facility?.system?.size] ?? VAULT_CAPACITY_BY_SIZE.cramped);
+  return Math.max(roundGp(base + (Number(bonus) || 0)), 0);
+}
+
+export function getOwnerShare(config) {
+  return 100 - (config?.partners ?? []).reduce((total, partner) => total + partner.share, 0);
+}
+
 export function sanitizeState(raw = {}, config = null) {
   const base = getInitialState(config);
   const merged = foundry.utils.mergeObject(base, raw, { inplace: false, recursive: false, insertKeys: true });
-  merged.currentProfitDie = normalizeDie(merged.currentProfitDie, config?.profitDie ?? "d6");
+  merged.currentProfitDie = normalizeDie(merged.currentProfitDie, config?.startingProfitDie ?? config?.profitDie ?? "d6", getDieLadder(config));
   merged.streak = Math.max(asInteger(merged.streak, 0), 0);
-  merged.treasury = Math.max(asInteger(merged.treasury, 0), 0);
+  // The treasury is stored in copper; `treasury` mirrors it in gp. States saved before copper storage only have gp.
+  const storedCp = Number(raw?.treasuryCp);
+  const treasuryCp = ((raw?.treasuryCp ?? "") !== "") && Number.isFinite(storedCp)
+    ? Math.round(storedCp)
+    : gpToCp(merged.treasury);
+  merged.treasuryCp = Math.max(treasuryCp, 0);
+  merged.treasury = cpToGp(merged.treasuryCp);
   merged.failed = asBoolean(merged.failed, false);
-  merged.lastTurnNet = asInteger(merged.lastTurnNet, 0);
+  merged.lastTurnNet = roundGp(merged.lastTurnNet);
+  merged.profitStreak = Math.max(asInteger(merged.profitStreak, 0), 0);
+  merged.lifetimeEarnings = Math.max(roundGp(merged.lifetimeEarnings), 0);
+  merged.milestones = sanitizeReachedMilestones(merged.milestones);
   merged.turnId = String(merged.turnId ?? "");
+  merged.turnCommit = (merged.turnCommit && (typeof merged.turnCommit === "object") && merged.turnCommit.turnId)
+    ? merged.turnCommit
+    : null;
   merged.boonPurchasesTurnId = String(merged.boonPurchasesTurnId ?? "");
+  merged.history = sanitizeHistory(merged.history);
   const boonPurchases = {};
   if (merged.boonPurchases && (typeof merged.boonPurchases === "object")) {
     for (const [key, value] of Object.entries(merged.boonPurchases)) {
@@ -100,11 +321,74 @@ export function sanitizeState(raw = {}, config = null) {
   return merged;
 }
 
+function sanitizeHistoryEntry(raw) {
+  if (!raw || (typeof raw !== "object")) return null;
+  const entry = foundry.utils.deepClone(raw);
+  entry.id = String(entry.id ?? "") || foundry.utils.randomID();
+  entry.turnId = String(entry.turnId ?? "");
+  entry.turnNumber = Math.max(asInteger(entry.turnNumber, 0), 0);
+  entry.timestamp = Math.max(asInteger(entry.timestamp, 0), 0);
+  entry.net = roundGp(entry.net);
+  entry.modifiers = Array.isArray(entry.modifiers) ? entry.modifiers.filter(Boolean) : [];
+  entry.boons = Array.isArray(entry.boons) ? entry.boons.filter(Boolean) : [];
+  return entry;
+}
+
+function sanitizeHistory(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.map(sanitizeHistoryEntry).filter(Boolean);
+}
+
+// Ledger entries are appended oldest-first; the oldest entries are trimmed once the limit is reached.
+export function appendHistoryEntry(state, entry, limit = 100) {
+  const history = Array.isArray(state.history) ? [...state.history] : [];
+  const previous = history.at(-1);
+  const next = sanitizeHistoryEntry({
+    ...entry,
+    turnNumber: (Math.max(asInteger(previous?.turnNumber, 0), 0) + 1)
+  });
+  history.push(next);
+  const safeLimit = Math.max(asInteger(limit, 100), 1);
+  state.history = history.slice(-safeLimit);
+  return next;
+}
+
+export function recordHistoryBoonPurchase(state, turnId, boon) {
+  const key = String(turnId ?? "").trim();
+  if (!key || !Array.isArray(state.history)) return false;
+  const entry = [...state.history].reverse().find(candidate => candidate?.turnId === key);
+  if (!entry) return false;
+  entry.boons = [
+    ...(Array.isArray(entry.boons) ? entry.boons : []),
+    {
+      name: String(boon?.name ?? "").trim(),
+      cost: Math.max(roundGp(boon?.cost), 0),
+      rewardName: String(boon?.rewardName ?? "").trim()
+    }
+  ];
+  return true;
+}
+
 export function getFacilityConfig(facility) {
   const raw = facility.getFlag(MODULE_ID, "config") ?? {};
   return sanitizeConfig(raw, facility);
 }
 
+// Enabled ventures on one actor (or every world actor) whose tags share at least one of the filter tags.
+export function findVentures({ actor = null, tags = null } = {}) {
+  const actors = actor ? [actor] : (game.actors ?? []);
+  const ventures = [];
+  for (const owner of actors) {
+    for (const facility of owner.itemTypes?.facility ?? []) {
+      const config = getFacilityConfig(facility);
+      if (!config.enabled) continue;
+      if (!matchesVentureTags(config.tags, tags)) continue;
+      ventures.push(facility);
+    }
+  }
+  return ventures;
+}
+
 export function getFacilityState(facility, config = null) {
   const safeConfig = config ?? getFacilityConfig(facility);
   const raw = facility.getFlag(MODULE_ID, "state") ?? {};
@@ -143,6 +427,8 @@ function parseModifierNumber(value, fallback = 0) {
 function summarizeVentureModifier(modifier) {
   if (!modifier) return "";
   const parts = [];
+  const tags = parseVentureTags(modifier.tags);
+  if (tags.length) parts.push(`tagged ${tags.join(" / ")}`);
   const profitDieStep = parseModifierNumber(modifier.profitDieStep, 0);
   const lossDieStep = parseModifierNumber(modifier.lossDieStep, 0);
   const profitRollBonus = parseModifierNumber(modifier.profitRollBonus, 0);
@@ -155,6 +441,10 @@ function summarizeVentureModifier(modifier) {
   const successThresholdOverride = parseModifierNumber(modifier.successThresholdOverride, 0);
   if (successThresholdOverride > 0) parts.push(`successes to grow ${successThresholdOverride}`);
   if (profitRollBonus) parts.push(`profit bonus ${profitRollBonus > 0 ? "+" : ""}${profitRollBonus}`);
+  const taxRateOverride = String(modifier.taxRateOverride ?? "").trim();
+  if (taxRateOverride) parts.push(`tax rate ${taxRateOverride}%`);
+  const vaultCapacityBonus = parseCurrencyAmount(modifier.vaultCapacityBonus, 0);
+  if (vaultCapacityBonus) parts.push(`vault capacity ${vaultCapacityBonus > 0 ? "+" : ""}${vaultCapacityBonus} gp`);
   if (String(modifier.bastionDurationType ?? "").trim() === "nextBastionTurn") {
     parts.push(game.i18n.localize("INDYVENTURES.EffectSummary.BastionDurationNextTurn"));
   }
@@ -172,9 +462,9 @@ function getEffectRemainingTurns(modifier) {
   return remaining;
 }
 
-function getFacilityVentureEffects(facility) {
+function getFacilityVentureEffects(facility, worldEffects = []) {
   const list = [];
-  for (const effect of facility.effects ?? []) {
+  for (const effect of [...(facility.effects ?? []), ...worldEffects]) {
     const modifier = getVentureModifierFromEffect(effect);
     if (!modifier) continue;
     const isTemplate = effect.getFlag(MODULE_ID, "ventureModifierTemplate") === true;
@@ -182,7 +472,7 @@ function getFacilityVentureEffects(facility) {
     const remainingTurns = getEffectRemainingTurns(modifier);
     list.push({
       id: effect.id,
-      uuid: effect.uuid,
+      uuid: effect.uuid ?? "",
       name: effect.name,
       disabled: Boolean(effect.disabled),
       isTemplate,
@@ -210,7 +500,90 @@ export async function updateFacilityVenture(facility, config, state) {
   return facility.update(update);
 }
 
-export function prepareFacilitySheetContext(facility) {
+function getManagementCheckOptions() {
+  const skills = Object.entries(CONFIG.DND5E?.skills ?? {})
+    .map(([value, skill]) => ({ value, label: skill?.label ?? value }))
+    .sort((first, second) => first.label.localeCompare(second.label, game.i18n.lang));
+  const tools = Object.keys(CONFIG.DND5E?.tools ?? {})
+    .map(value => ({
+      value,
+      label: dnd5e?.documents?.Trait?.keyLabel?.(value, { trait: "tool" }) ?? value
+    }))
+    .sort((first, second) => first.label.localeCompare(second.label, game.i18n.lang));
+  return {
+    checkTypeOptions: [
+      { value: "", label: game.i18n.localize("INDYVENTURES.Sheet.CheckTypeNone") },
+      { value: "skill", label: game.i18n.localize("INDYVENTURES.Sheet.CheckTypeSkill") },
+      { value: "tool", label: game.i18n.localize("INDYVENTURES.Sheet.CheckTypeTool") }
+    ],
+    skillOptions: skills,
+    toolOptions: tools
+  };
+}
+
+function resolveEventTableName(config) {
+  const uuid = config.eventTableUuid;
+  if (!uuid) return "";
+  return fromUuidSync(uuid, { strict: false })?.name ?? uuid;
+}
+
+function prepareStaffRows(config) {
+  const roleOptions = Object.entries(STAFF_ROLES).map(([value, role]) => ({
+    value,
+    label: game.i18n.localize(role.label)
+  }));
+  return config.staff.map(entry => ({
+    ...entry,
+    actorName: entry.actorUuid ? (fromUuidSync(entry.actorUuid, { strict: false })?.name ?? entry.actorUuid) : "",
+    roleOptions
+  }));
+}
+
+function preparePartnerRows(config) {
+  return config.partners.map(partner => ({
+    ...partner,
+    actorName: fromUuidSync(partner.actorUuid, { strict: false })?.name ?? partner.actorUuid
+  }));
+}
+
+function describeMilestoneProgress(milestone, state) {
+  if (milestone.type === "profitDie") return `${state.failed ? "-" : state.currentProfitDie} / ${milestone.target}`;
+  if (milestone.type === "profitStreak") return `${state.profitStreak} / ${milestone.target}`;
+  return `${state.lifetimeEarnings} / ${milestone.target} gp`;
+}
+
+function prepareMilestoneRows(config, state) {
+  const typeOptions = Object.entries(MILESTONE_TYPES).map(([value, type]) => ({
+    value,
+    label: game.i18n.localize(type.label)
+  }));
+  const diceOptions = getDieLadder(config).map(value => ({ value, label: value }));
+  return config.milestones.map(milestone => {
+    const reached = state.milestones[milestone.id] ?? null;
+    return {
+      ...milestone,
+      typeOptions,
+      diceOptions,
+      isDieTarget: milestone.type === "profitDie",
+      goalText: describeMilestoneGoal(milestone),
+      rewardName: milestone.rewardUuid ? (resolveRewardDocumentSync(milestone.rewardUuid)?.name ?? milestone.rewardUuid) : "",
+      reached: Boolean(reached),
+      statusText: reached
+        ? game.i18n.format("INDYVENTURES.Milestones.ReachedOn", {
+          date: reached.timestamp ? new Date(reached.timestamp).toLocaleDateString(game.i18n.lang) : "-"
+        })
+        : describeMilestoneProgress(milestone, state)
+    };
+  });
+}
+
+function resolveManagerName(config, facility) {
+  const uuid = config.checkManagerUuid;
+  if (!uuid) return facility.actor?.name ?? "";
+  return fromUuidSync(uuid, { strict: false })?.name ?? uuid;
+}
+
+export function prepareFacilitySheetContext(facility, { vaultCapacity = null, worldEffects = [] } = {}) {
   const config = getFacilityConfig(facility);
   const state = getFacilityState(facility, config);
   const boons = parseBoonsFromConfig(config).map((boon, index) => {
@@ -256,11 +629,66 @@ export function prepareFacilitySheetContext(facility) {
     };
   });
 
+  const sizeDiceActive = Boolean(config.sizeDice && getFacilitySizeDice(facility));
   return {
     config,
     state,
-    activeEffects: getFacilityVentureEffects(facility),
-    diceOptions: DICE_STEPS.map(value => ({ value, label: value })),
+    tagsText: config.tags.join(", "),
+    sizeDiceActive,
+    sizeDiceText: sizeDiceActive
+      ? game.i18n.format("INDYVENTURES.Sheet.SizeDiceCurrent", {
+        size: getFacilitySizeLabel(facility.system.size),
+        die: config.startingProfitDie,
+        max: config.maxProfitDie || "-"
+      })
+      : "",
+    activeEffects: getFacilityVentureEffects(facility, worldEffects),
+    historyCount: state.history.length,
+    canAdvanceTurn: Boolean(game.user?.isGM && facility.actor && config.enabled && !state.failed),
+    canRelaunch: Boolean(state.failed && facility.actor && (game.user?.isGM || facility.actor.isOwner)),
+    canInvest: Boolean(!state.failed && facility.actor && (game.user?.isGM || facility.actor.isOwner)),
+    canTransfer: Boolean(state.treasury && facility.actor && (game.user?.isGM || facility.actor.isOwner)),
+    hasVault: vaultCapacity !== null,
+    vaultCapacity,
+    vaultOverCapacity: (vaultCapacity !== null) && (state.treasury > vaultCapacity),
+    vaultModeOptions: [
+      { value: "", label: game.i18n.localize("INDYVENTURES.Sheet.VaultModeNone") },
+      ...VAULT_MODES.map(value => ({ value, label: game.i18n.localize(`INDYVENTURES.VaultMode.${value}`) }))
+    ],
+    vaultOverflowOptions: VAULT_OVERFLOW_RULES.map(value => ({
+      value,
+      label: game.i18n.localize(`INDYVENTURES.VaultOverflow.${value}`)
+    })),
+    capitalUpgradeOptions: [
+      { value: "", label: game.i18n.localize("INDYVENTURES.Sheet.CapitalUpgradeNone") },
+      { value: "die", label: game.i18n.localize("INDYVENTURES.Sheet.CapitalUpgradeDie") },
+      { value: "streak", label: game.i18n.localize("INDYVENTURES.Sheet.CapitalUpgradeStreak") }
+    ],
+    rollPolicyOptions: [
+      { value: "", label: game.i18n.localize("INDYVENTURES.Sheet.RollPolicyWorld") },
+      ...ROLL_POLICIES.map(value => ({ value, label: game.i18n.localize(`INDYVENTURES.RollPolicy.${value}`) }))
+    ],
+    rollModeOptions: [
+      { value: "", label: game.i18n.localize("INDYVENTURES.Sheet.RollPolicyWorld") },
+      ...ROLL_MODES.map(value => ({ value, label: game.i18n.localize(`INDYVENTURES.RollMode.${value}`) }))
+    ],
+    cardVisibilityOptions: [
+      { value: "", label: game.i18n.localize("INDYVENTURES.Sheet.RollPolicyWorld") },
+      ...CARD_VISIBILITIES.map(value => ({ value, label: game.i18n.localize(`INDYVENTURES.CardVisibility.${value}`) }))
+    ],
+    dieLadder: getDieLadder(config).join(", "),
+    maxLossModifier: Math.max(getDieLadder(config).length - 1, 4),
+    diceOptions: getDieLadder(config).map(value => ({ value, label: value })),
+    ...getManagementCheckOptions(),
+    managerName: resolveManagerName(config, facility),
+    eventTableName: resolveEventTableName(config),
+    staffRows: prepareStaffRows(config),
+    staffWages: config.staff.reduce((total, entry) => total + entry.wage, 0),
+    partnerRows: preparePartnerRows(config),
+    milestoneRows: prepareMilestoneRows(config, state),
+    milestonesReached: config.milestones.filter(milestone => state.milestones[milestone.id]).length,
+    ownerShare: getOwnerShare(config),
+    ownerName: facility.actor?.name ?? "",
     boonCount: boons.length,
     boons
   };
@@ -299,5 +727,9 @@ export function sanitizeStatePatchForUpdate(facility, change) {
   if (Object.prototype.hasOwnProperty.call(patch, "boonPurchases")) {
     merged.boonPurchases = foundry.utils.deepClone(patch.boonPurchases ?? {});
   }
+  // The sheet edits the treasury in gp, so the stored copper follows it.
+  if (Object.prototype.hasOwnProperty.call(patch, "treasury") && !Object.prototype.hasOwnProperty.call(patch, "treasuryCp")) {
+    setTreasury(merged, parseCurrencyAmount(patch.treasury, merged.treasury));
+  }
   foundry.utils.setProperty(change, FLAG_STATE, sanitizeState(merged, nextConfig));
 }
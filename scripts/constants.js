@@ -3,16 +3,79 @@ export const MODULE_ID = "indy-ventures";
 export const TEMPLATE_PATHS = {
   facilityDetails: "modules/indy-ventures/templates/item/details-venture.hbs",
   chatSummary: "modules/indy-ventures/templates/chat/venture-summary.hbs",
-  boonEditor: "modules/indy-ventures/templates/dialog/boon-editor.hbs"
+  chatRelaunch: "modules/indy-ventures/templates/chat/venture-relaunch.hbs",
+  chatFacilitySize: "modules/indy-ventures/templates/chat/venture-facility-size.hbs",
+  chatMilestone: "modules/indy-ventures/templates/chat/venture-milestone.hbs",
+  chatTransfer: "modules/indy-ventures/templates/chat/venture-transfer.hbs",
+  chatEconomy: "modules/indy-ventures/templates/chat/bastion-economy.hbs",
+  chatResult: "modules/indy-ventures/templates/chat/venture-result.hbs",
+  boonEditor: "modules/indy-ventures/templates/dialog/boon-editor.hbs",
+  ventureHistory: "modules/indy-ventures/templates/dialog/venture-history.hbs",
+  ventureSimulation: "modules/indy-ventures/templates/dialog/venture-simulation.hbs",
+  worldEconomy: "modules/indy-ventures/templates/dialog/world-economy.hbs"
 };
 
 export const DICE_STEPS = ["d4", "d6", "d8", "d10", "d12"];
 
+export const VENTURE_OWNER_TYPES = ["character", "group"];
+
+export const VENTURE_DIE_FLAVOR = "venture";
+
 export const SETTINGS = {
   integrateBastion: "integrateBastion",
   postChatSummary: "postChatSummary",
   hideVentureHirelings: "hideVentureHirelings",
   debugLogging: "debugLogging",
   coveragePromptTimeoutSeconds: "coveragePromptTimeoutSeconds",
-  rollPromptTimeoutSeconds: "rollPromptTimeoutSeconds"
+  rollPromptTimeoutSeconds: "rollPromptTimeoutSeconds",
+  historyLimit: "historyLimit",
+  taxRate: "taxRate",
+  batchBastionTurns: "batchBastionTurns",
+  turnJournal: "turnJournal",
+  rollPolicy: "rollPolicy",
+  ventureRollMode: "ventureRollMode",
+  summaryVisibility: "summaryVisibility",
+  worldModifiers: "worldModifiers",
+  worldModifierTurn: "worldModifierTurn",
+  worldEconomyMenu: "worldEconomyMenu"
+};
+
+export const ROLL_POLICIES = ["interactive", "auto", "autoOffline", "autoOnTimeout"];
+
+export const ROLL_MODES = ["publicroll", "gmroll", "blindroll", "selfroll"];
+
+export const CARD_VISIBILITIES = ["public", "owners", "gm"];
+
+// Starting profit die and growth cap for each dnd5e facility size, matching the venture facility compendium.
+export const FACILITY_SIZE_DICE = {
+  cramped: { profitDie: "d6", maxProfitDie: "d8" },
+  roomy: { profitDie: "d8", maxProfitDie: "d10" },
+  vast: { profitDie: "d10", maxProfitDie: "d12" }
+};
+
+export const VAULT_MODES = ["size", "custom"];
+
+export const VAULT_OVERFLOW_RULES = ["payout", "forfeit", "theft"];
+
+// Base vault capacity in gp for each dnd5e facility size.
+export const VAULT_CAPACITY_BY_SIZE = {
+  cramped: 500,
+  roomy: 2000,
+  vast: 5000
+};
+
+export const VAULT_THEFT_LOSS_DIE_STEP = 1;
+
+export const MILESTONE_TYPES = {
+  profitDie: { label: "INDYVENTURES.Milestones.Types.ProfitDie", goal: "INDYVENTURES.Milestones.Goals.ProfitDie" },
+  profitStreak: { label: "INDYVENTURES.Milestones.Types.ProfitStreak", goal: "INDYVENTURES.Milestones.Goals.ProfitStreak" },
+  lifetimeEarnings: { label: "INDYVENTURES.Milestones.Types.LifetimeEarnings", goal: "INDYVENTURES.Milestones.Goals.LifetimeEarnings" }
+};
+
+export const STAFF_ROLES = {
+  worker: { label: "INDYVENTURES.Staff.Roles.Worker", profitDieStep: 0, lossDieStep: 0, profitRollBonus: 0 },
+  clerk: { label: "INDYVENTURES.Staff.Roles.Clerk", profitDieStep: 0, lossDieStep: 0, profitRollBonus: 1 },
+  artisan: { label: "INDYVENTURES.Staff.Roles.Artisan", profitDieStep: 0, lossDieStep: 0, profitRollBonus: 2 },
+  foreman: { label: "INDYVENTURES.Staff.Roles.Foreman", profitDieStep: 1, lossDieStep: 0, profitRollBonus: 0 },
+  guard: { label: "INDYVENTURES.Staff.Roles.Guard", profitDieStep: 0, lossDieStep: -1, profitRollBonus: 0 }
 };
@@ -6,6 +6,7 @@ const DAE_FIELDS = [
   `flags.${MODULE_ID}.ventureModifier.enabled`,
   `flags.${MODULE_ID}.ventureModifier.applyToAllVentures`,
   `flags.${MODULE_ID}.ventureModifier.facilityId`,
+  `flags.${MODULE_ID}.ventureModifier.tags`,
   `flags.${MODULE_ID}.ventureModifier.profitDieStep`,
   `flags.${MODULE_ID}.ventureModifier.profitDieOverride`,
   `flags.${MODULE_ID}.ventureModifier.minProfitDie`,
@@ -14,6 +15,8 @@ const DAE_FIELDS = [
   `flags.${MODULE_ID}.ventureModifier.maxLossDie`,
   `flags.${MODULE_ID}.ventureModifier.successThresholdOverride`,
   `flags.${MODULE_ID}.ventureModifier.profitRollBonus`,
+  `flags.${MODULE_ID}.ventureModifier.taxRateOverride`,
+  `flags.${MODULE_ID}.ventureModifier.vaultCapacityBonus`,
   `flags.${MODULE_ID}.ventureModifier.durationFormula`,
   `flags.${MODULE_ID}.ventureModifier.consumePerTurn`,
   `flags.${MODULE_ID}.ventureModifier.bastionDurationType`,
@@ -1,38 +1,72 @@
-import { DICE_STEPS, MODULE_ID, SETTINGS, TEMPLATE_PATHS } from "./constants.js";
 import {
+  CARD_VISIBILITIES,
+  DICE_STEPS,
+  MODULE_ID,
+  ROLL_MODES,
+  ROLL_POLICIES,
+  SETTINGS,
+  STAFF_ROLES,
+  TEMPLATE_PATHS,
+  VAULT_THEFT_LOSS_DIE_STEP,
+  VENTURE_DIE_FLAVOR
+} from "./constants.js";
+import {
+  appendHistoryEntry,
+  describeMilestoneGoal,
   getFacilityConfig,
+  getFacilitySizeDice,
+  getFacilitySizeLabel,
   getFacilityState,
+  getOwnerShare,
+  getVaultCapacity,
+  isMilestoneReached,
   parseBoonsFromConfig,
+  setTreasury,
   updateFacilityVenture
 } from "./config.js";
 import {
   buildBoonGroupKey,
   buildBoonKey,
   boonPurchaseWhenAllows,
+  cpToGp,
+  dieLadderIndex,
+  getCurrencyTable,
+  getDieLadder,
+  gpToCp,
+  growDie,
+  normalizeDieFormula,
   parseBoonPerTurnLimit,
   parseBoonPurchaseWhen,
+  parseCurrencyAmount,
+  getGroupMembers,
+  isVentureOwnerActor,
+  matchesVentureTags,
+  normalizeDie,
+  parseVentureTags,
   resolveRewardDocumentSync,
-  shiftDie
+  roundGp,
+  shiftDie,
+  spendCurrencyCoins,
+  splitCopperIntoCoins,
+  splitPartnerShares
 } from "./utils.js";
+import { grantBoonReward, onTreasuryRequest, onTreasuryResult, renderBastionEconomyContent, runWithTreasuryLocks } from "./chat.js";
+import { buildTurnJournalKey, clearTurnJournalEntry, getTurnJournalEntries, getTurnJournalEntry, saveTurnJournalEntry } from "./journal.js";
 import { moduleLog } from "./logger.js";
+import { beginWorldBastionTurn, getWorldModifierEffects } from "./world-economy.js";
 
 const SOCKET_NAMESPACE = `module.${MODULE_ID}`;
 const pendingCoverageRequests = new Map();
 const pendingRollRequests = new Map();
 const processedBastionMessages = new Set();
 const processedActorTurnKeys = new Set();
+// Party bastion turns arrive as one message per actor; wait this long after the last one before processing the batch.
+const BASTION_BATCH_COLLECT_MS = 1500;
+const pendingBastionBatch = { entries: [], timeout: null };
 const VENTURE_MODIFIER_FLAG = `flags.${MODULE_ID}.ventureModifier`;
 const VENTURE_MODIFIER_CHANGE_PREFIX = `${VENTURE_MODIFIER_FLAG}.`;
 const BASTION_DURATION_FLAG = `flags.${MODULE_ID}.bastionDuration`;
 const BASTION_DURATION_CHANGE_PREFIX = `${BASTION_DURATION_FLAG}.`;
-const CURRENCY_IN_CP = {
-  pp: 1000,
-  gp: 100,
-  ep: 50,
-  sp: 10,
-  cp: 1
-};
-const CURRENCY_ORDER = ["pp", "gp", "ep", "sp", "cp"];
 
 function getRenderTemplate() {
   return foundry.applications?.handlebars?.renderTemplate ?? renderTemplate;
@@ -60,6 +94,44 @@ function getRollTimeoutMs() {
   return seconds * 1000;
 }
 
+function getRollPolicy(config) {
+  if (ROLL_POLICIES.includes(config?.rollPolicy)) return config.rollPolicy;
+  const worldPolicy = game.settings?.get(MODULE_ID, SETTINGS.rollPolicy);
+  return ROLL_POLICIES.includes(worldPolicy) ? worldPolicy : "interactive";
+}
+
+function getVentureRollMode(config) {
+  if (ROLL_MODES.includes(config?.rollMode)) return config.rollMode;
+  const worldMode = game.settings?.get(MODULE_ID, SETTINGS.ventureRollMode);
+  return ROLL_MODES.includes(worldMode) ? worldMode : "";
+}
+
+function getCardVisibility(config) {
+  if (CARD_VISIBILITIES.includes(config?.cardVisibility)) return config.cardVisibility;
+  const worldVisibility = game.settings?.get(MODULE_ID, SETTINGS.summaryVisibility);
+  return CARD_VISIBILITIES.includes(worldVisibility) ? worldVisibility : "public";
+}
+
+// A card covering several ventures is as private as its most private venture.
+function buildSummaryWhisper(actor, results) {
+  const visibilities = results.map(result => result.cardVisibility);
+  if (!visibilities.some(visibility => visibility && (visibility !== "public"))) return null;
+  const gmOnly = visibilities.includes("gm");
+  return game.users
+    .filter(user => user.isGM || (!gmOnly && actor?.testUserPermission(user, "OWNER")))
+    .map(user => user.id);
+}
+
+function getHistoryLimit() {
+  const parsed = Number.parseInt(game.settings?.get(MODULE_ID, SETTINGS.historyLimit), 10);
+  return Number.isFinite(parsed) ? Math.max(parsed, 1) : 100;
+}
+
+export function getWorldTaxRate() {
+  const parsed = Number.parseInt(game.settings?.get(MODULE_ID, SETTINGS.taxRate), 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 0), 100) : 0;
+}
+
 function buildBastionDedupKey(message, bastionData) {
   const stableTurnId = String(
     bastionData?.turnId
@@ -86,11 +158,11 @@ function getBastionTurnData(message) {
   return null;
 }
 
-async function requestLocalUserRoll({ formula, actor, facilityName, rollLabel }) {
+async function requestLocalUserRoll({ formula, actor, facilityName, rollLabel, interactive = true, rollMode = "" }) {
   const title = game.i18n.localize("INDYVENTURES.RollPrompt.Title");
   const content = game.i18n.format("INDYVENTURES.RollPrompt.Content", {
     rollLabel,
-    formula,
+    formula: formatVentureFormula(formula),
     facility: facilityName
   });
   const rollButton = game.i18n.localize("INDYVENTURES.RollPrompt.Roll");
@@ -100,14 +172,16 @@ async function requestLocalUserRoll({ formula, actor, facilityName, rollLabel })
   });
 
   const doRoll = async () => {
-    const roll = await Roll.create(formula).evaluate({ allowInteractive: true });
+    const roll = await Roll.create(formula).evaluate({ allowInteractive: interactive });
     await roll.toMessage({
       speaker: getSpeaker(actor),
       flavor
-    });
+    }, rollMode ? { rollMode } : {});
     return roll;
   };
 
+  if (!interactive) return doRoll();
+
   if (foundry.applications?.api?.DialogV2?.prompt) {
     return foundry.applications.api.DialogV2.prompt({
       window: { title, resizable: true },
@@ -139,7 +213,8 @@ async function requestRollFromOwner({
   actor,
   facilityName,
   formula,
-  rollLabel
+  rollLabel,
+  rollMode
 }) {
   const requestId = foundry.utils.randomID();
   const timeoutMs = getRollTimeoutMs();
@@ -158,14 +233,20 @@ async function requestRollFromOwner({
       actorUuid: actor?.uuid ?? "",
       facilityName,
       formula,
-      rollLabel
+      rollLabel,
+      rollMode
     });
   });
 
   return response;
 }
 
-async function requestUserRoll({ formula, actor, facilityName, rollLabel }) {
+// Auto-rolls still post the roll to chat; only the prompt is skipped.
+async function requestUserRoll({ formula, actor, facilityName, rollLabel, policy = "interactive", rollMode = "" }) {
+  if (policy === "auto") {
+    return requestLocalUserRoll({ formula, actor, facilityName, rollLabel, interactive: false, rollMode });
+  }
+
   const targetUser = getPreferredCoverageUser(actor);
   const canDelegate = Boolean(
     game.user?.isGM
@@ -175,7 +256,15 @@ async function requestUserRoll({ formula, actor, facilityName, rollLabel }) {
   );
 
   if (!canDelegate) {
-    return requestLocalUserRoll({ formula, actor, facilityName, rollLabel });
+    const ownerOffline = !targetUser?.active || targetUser.isGM;
+    return requestLocalUserRoll({
+      formula,
+      actor,
+      facilityName,
+      rollLabel,
+      interactive: !((policy === "autoOffline") && ownerOffline),
+      rollMode
+    });
   }
 
   const delegated = await requestRollFromOwner({
@@ -183,23 +272,29 @@ async function requestUserRoll({ formula, actor, facilityName, rollLabel }) {
     actor,
     facilityName,
     formula,
-    rollLabel
+    rollLabel,
+    rollMode
   });
 
   const total = Number(delegated?.total);
   if (Number.isFinite(total)) {
+    const dieTotal = Number(delegated?.dieTotal);
     moduleLog("Delegated venture roll result received", {
       actor: actor?.name ?? null,
       facility: facilityName,
       rollLabel,
       formula,
       total,
+      dieTotal,
       roller: delegated?.userId ?? targetUser.id
     });
-    return { total };
+    return { total, dieTotal: Number.isFinite(dieTotal) ? dieTotal : total };
   }
 
-  moduleLog("Delegated venture roll unavailable; falling back to GM roll", {
+  const autoRoll = policy === "autoOnTimeout";
+  moduleLog(autoRoll
+    ? "Delegated venture roll unavailable; auto-rolling"
+    : "Delegated venture roll unavailable; falling back to GM roll", {
     actor: actor?.name ?? null,
     facility: facilityName,
     rollLabel,
@@ -207,7 +302,340 @@ async function requestUserRoll({ formula, actor, facilityName, rollLabel }) {
     targetUser: targetUser.name,
     timedOut: Boolean(delegated?.timedOut)
   });
-  return requestLocalUserRoll({ formula, actor, facilityName, rollLabel });
+  return requestLocalUserRoll({ formula, actor, facilityName, rollLabel, interactive: !autoRoll, rollMode });
+}
+
+function getManagementCheckLabel(config) {
+  if (config.checkType === "tool") {
+    return dnd5e?.documents?.Trait?.keyLabel?.(config.checkTool, { trait: "tool" }) ?? config.checkTool;
+  }
+  return CONFIG.DND5E?.skills?.[config.checkSkill]?.label ?? config.checkSkill;
+}
+
+// Flat check modifier used by the forecast; real turns roll through dnd5e so advantage and roll bonuses apply.
+export function getManagementCheckModifier(manager, config) {
+  const system = manager?.system ?? {};
+  if (config.checkType === "tool") {
+    const tool = system.tools?.[config.checkTool];
+    if (Number.isFinite(Number(tool?.total))) return Number(tool.total);
+    const ability = tool?.ability ?? CONFIG.DND5E?.tools?.[config.checkTool]?.ability ?? "int";
+    return Number(system.abilities?.[ability]?.mod) || 0;
+  }
+  return Number(system.skills?.[config.checkSkill]?.total) || 0;
+}
+
+async function resolveVentureManager(config, actor) {
+  const uuid = String(config.checkManagerUuid ?? "").trim();
+  if (!uuid) return actor;
+  const manager = await fromUuid(uuid).catch(() => null);
+  return (manager?.documentName === "Actor") ? manager : actor;
+}
+
+async function rollManagementCheckLocally({ manager, checkType, key, dc }) {
+  const rolls = checkType === "tool"
+    ? await manager.rollToolCheck({ tool: key, target: dc })
+    : await manager.rollSkill({ skill: key, target: dc });
+  const roll = Array.isArray(rolls) ? rolls[0] : rolls;
+  const total = Number(roll?.total);
+  return Number.isFinite(total) ? total : null;
+}
+
+async function requestManagementCheckFromOwner({ targetUser, manager, checkType, key, dc }) {
+  const requestId = foundry.utils.randomID();
+  const timeoutMs = getRollTimeoutMs();
+  return new Promise(resolve => {
+    const timeout = setTimeout(() => {
+      pendingRollRequests.delete(requestId);
+      resolve({ timedOut: true });
+    }, timeoutMs);
+
+    pendingRollRequests.set(requestId, { resolve, timeout });
+    emitSocket({
+      type: "checkPrompt",
+      requestId,
+      gmUserId: game.user.id,
+      targetUserId: targetUser.id,
+      managerUuid: manager.uuid,
+      checkType,
+      key,
+      dc
+    });
+  });
+}
+
+async function rollManagementCheck(facility, actor, config) {
+  if (!["skill", "tool"].includes(config.checkType)) return null;
+  const key = config.checkType === "tool" ? config.checkTool : config.checkSkill;
+  if (!key) return null;
+
+  const manager = await resolveVentureManager(config, actor);
+  const dc = config.checkDc;
+  const targetUser = getPreferredCoverageUser(manager);
+  let total = null;
+  let roller = game.user.name;
+  if (game.user.isGM && targetUser?.active && (targetUser.id !== game.user.id)) {
+    const delegated = await requestManagementCheckFromOwner({ targetUser, manager, checkType: config.checkType, key, dc });
+    const parsed = Number(delegated?.total);
+    if (Number.isFinite(parsed) && (delegated?.total !== null)) {
+      total = parsed;
+      roller = targetUser.name;
+    } else {
+      moduleLog("Delegated management check unavailable; falling back to GM roll", {
+        manager: manager.name,
+        facility: facility.name,
+        targetUser: targetUser.name,
+        timedOut: Boolean(delegated?.timedOut)
+      });
+    }
+  }
+  if (total === null) {
+    try {
+      total = await rollManagementCheckLocally({ manager, checkType: config.checkType, key, dc });
+    } catch (error) {
+      moduleLog("Management check roll failed", {
+        manager: manager.name,
+        facility: facility.name,
+        error: String(error?.message ?? error)
+      });
+    }
+  }
+
+  // A cancelled or failed check counts as a failed management turn.
+  const success = (total !== null) && (total >= dc);
+  return {
+    checkType: config.checkType,
+    key,
+    label: getManagementCheckLabel(config),
+    dc,
+    total,
+    rolled: total !== null,
+    success,
+    managerName: manager.name,
+    roller,
+    profitDieStep: success ? config.checkSuccessStep : config.checkFailureStep,
+    profitRollBonus: success ? config.checkSuccessBonus : config.checkFailureBonus
+  };
+}
+
+function formatManagementCheckEffect(check) {
+  const parts = [];
+  if (check.profitDieStep) {
+    parts.push(game.i18n.format("INDYVENTURES.Chat.ManagementStep", { step: formatSignedNumber(check.profitDieStep) }));
+  }
+  if (check.profitRollBonus) {
+    parts.push(game.i18n.format("INDYVENTURES.Chat.ManagementBonus", { bonus: formatSignedNumber(check.profitRollBonus) }));
+  }
+  return parts.join(", ") || game.i18n.localize("INDYVENTURES.Chat.ManagementNoEffect");
+}
+
+export function getStaffEffects(config) {
+  const staff = Array.isArray(config?.staff) ? config.staff : [];
+  return staff.reduce((effects, entry) => {
+    const role = STAFF_ROLES[entry.role] ?? STAFF_ROLES.worker;
+    effects.count += 1;
+    effects.wages = roundGp(effects.wages + Math.max(Number(entry.wage) || 0, 0));
+    effects.profitDieStep += role.profitDieStep;
+    effects.lossDieStep += role.lossDieStep;
+    effects.profitRollBonus += role.profitRollBonus;
+    return effects;
+  }, { count: 0, wages: 0, profitDieStep: 0, lossDieStep: 0, profitRollBonus: 0 });
+}
+
+function formatStaffEffect(staffEffects) {
+  const parts = [];
+  if (staffEffects.profitDieStep) {
+    parts.push(game.i18n.format("INDYVENTURES.Chat.ManagementStep", { step: formatSignedNumber(staffEffects.profitDieStep) }));
+  }
+  if (staffEffects.lossDieStep) {
+    parts.push(game.i18n.format("INDYVENTURES.Chat.StaffLossStep", { step: formatSignedNumber(staffEffects.lossDieStep) }));
+  }
+  if (staffEffects.profitRollBonus) {
+    parts.push(game.i18n.format("INDYVENTURES.Chat.ManagementBonus", { bonus: formatSignedNumber(staffEffects.profitRollBonus) }));
+  }
+  return parts.join(", ") || game.i18n.localize("INDYVENTURES.Chat.ManagementNoEffect");
+}
+
+function htmlToText(html) {
+  const element = document.createElement("div");
+  element.innerHTML = String(html ?? "");
+  return element.textContent.replace(/\s+/g, " ").trim();
+}
+
+export function getVentureEventData(result) {
+  const raw = result?.getFlag?.(MODULE_ID, "ventureEvent") ?? {};
+  const data = (raw && (typeof raw === "object")) ? raw : {};
+  return {
+    text: htmlToText(result?.description ?? result?.text ?? "") || String(result?.name ?? "").trim(),
+    gp: Math.max(parseCurrencyAmount(data.gp, 0), 0),
+    loss: Math.max(parseCurrencyAmount(data.loss, 0), 0),
+    profitDieStep: parseEffectNumber(data.profitDieStep, 0),
+    profitRollBonus: parseEffectNumber(data.profitRollBonus, 0),
+    effectUuid: String(data.effectUuid ?? "").trim(),
+    boon: String(data.boon ?? "").trim()
+  };
+}
+
+async function drawVentureEvent(facility, config) {
+  const uuid = String(config.eventTableUuid ?? "").trim();
+  if (!uuid) return null;
+  const table = await fromUuid(uuid).catch(() => null);
+  if (table?.documentName !== "RollTable") {
+    moduleLog("Venture event: table unavailable", { facility: facility.name, uuid });
+    return null;
+  }
+
+  let draw;
+  try {
+    draw = await table.draw({ displayChat: false });
+  } catch (error) {
+    moduleLog("Venture event: draw failed", {
+      facility: facility.name,
+      table: table.name,
+      error: String(error?.message ?? error)
+    });
+    return null;
+  }
+
+  const entries = (draw?.results ?? []).map(result => getVentureEventData(result));
+  if (!entries.length) return null;
+  return {
+    tableName: table.name,
+    rollTotal: Number(draw.roll?.total) || null,
+    texts: entries.map(entry => entry.text).filter(Boolean),
+    gp: roundGp(entries.reduce((total, entry) => total + entry.gp, 0)),
+    loss: roundGp(entries.reduce((total, entry) => total + entry.loss, 0)),
+    profitDieStep: entries.reduce((total, entry) => total + entry.profitDieStep, 0),
+    profitRollBonus: entries.reduce((total, entry) => total + entry.profitRollBonus, 0),
+    effectUuids: entries.map(entry => entry.effectUuid).filter(Boolean),
+    boons: entries.map(entry => entry.boon).filter(Boolean)
+  };
+}
+
+function collectDocumentIds(document) {
+  return {
+    effects: new Set(document?.effects?.map?.(effect => effect.id) ?? []),
+    items: new Set(document?.items?.map?.(item => item.id) ?? [])
+  };
+}
+
+function diffCreatedDocuments(document, before) {
+  const created = [];
+  const effectIds = (document?.effects?.map?.(effect => effect.id) ?? []).filter(id => !before.effects.has(id));
+  const itemIds = (document?.items?.map?.(item => item.id) ?? []).filter(id => !before.items.has(id));
+  if (effectIds.length) created.push({ ownerUuid: document.uuid, documentName: "ActiveEffect", ids: effectIds });
+  if (itemIds.length) created.push({ ownerUuid: document.uuid, documentName: "Item", ids: itemIds });
+  return created;
+}
+
+// Documents created here are recorded so reverting the turn removes them again.
+async function grantTurnRewards(rewards, facility, actor, createdDocuments, logLabel) {
+  const granted = [];
+  if (!rewards.length) return granted;
+
+  const actorBefore = collectDocumentIds(actor);
+  const facilityBefore = collectDocumentIds(facility);
+  for (const reward of rewards) {
+    try {
+      const rewardName = await grantBoonReward(actor, facility, reward);
+      granted.push({ ...reward, rewardName: rewardName || reward.name });
+    } catch (error) {
+      moduleLog(`${logLabel}: reward failed`, {
+        facility: facility.name,
+        reward: reward.rewardUuid || reward.name,
+        error: String(error?.message ?? error)
+      });
+    }
+  }
+  createdDocuments.push(...diffCreatedDocuments(actor, actorBefore), ...diffCreatedDocuments(facility, facilityBefore));
+  return granted;
+}
+
+// Venture modifiers among the rewards count this turn against their duration, like any other active modifier.
+async function applyVentureEventRewards(event, facility, actor, config, createdDocuments) {
+  if (!event?.effectUuids.length && !event?.boons.length) return [];
+
+  const boons = parseBoonsFromConfig(config);
+  const rewards = [
+    ...event.effectUuids.map(rewardUuid => ({ name: event.tableName, rewardUuid, free: false })),
+    ...event.boons.map(name => {
+      const boon = boons.find(entry => entry.name.toLocaleLowerCase() === name.toLocaleLowerCase());
+      return boon ? { ...boon, free: true } : null;
+    }).filter(Boolean)
+  ];
+  const granted = await grantTurnRewards(rewards, facility, actor, createdDocuments, "Venture event");
+  return granted.map(reward => ({ name: reward.free ? reward.name : reward.rewardName, free: reward.free }));
+}
+
+// A milestone is only recorded once; relaunching the venture keeps what it already reached.
+function recordReachedMilestones(config, state, turnId) {
+  const ladder = getDieLadder(config);
+  const reached = config.milestones.filter(milestone => !state.milestones[milestone.id]
+    && isMilestoneReached(milestone, state, ladder));
+  for (const milestone of reached) {
+    state.milestones[milestone.id] = {
+      name: milestone.name,
+      turnId: turnId || "",
+      timestamp: Date.now()
+    };
+  }
+  return reached;
+}
+
+async function applyMilestoneRewards(milestones, facility, actor, createdDocuments) {
+  const rewards = milestones
+    .filter(milestone => milestone.rewardUuid)
+    .map(milestone => ({ name: milestone.name, rewardUuid: milestone.rewardUuid, milestoneId: milestone.id }));
+  const granted = await grantTurnRewards(rewards, facility, actor, createdDocuments, "Venture milestone");
+  return new Map(granted.map(reward => [reward.milestoneId, reward.rewardName]));
+}
+
+// A venture capped by its facility size can only keep growing once the facility is enlarged.
+function buildExpansionPrompt(facility, config, state) {
+  if (!config.maxProfitDie || state.failed || (state.currentProfitDie !== config.maxProfitDie)) return "";
+  return game.i18n.format("INDYVENTURES.Milestones.ExpansionPrompt", {
+    size: getFacilitySizeLabel(facility.system?.size),
+    die: config.maxProfitDie
+  });
+}
+
+async function postMilestoneAnnouncement(actor, facility, config, state, milestones) {
+  const announcement = {
+    ventureName: config.ventureName || facility.name,
+    milestones,
+    expansionPrompt: buildExpansionPrompt(facility, config, state)
+  };
+  const content = await getRenderTemplate()(TEMPLATE_PATHS.chatMilestone, { announcement });
+  return ChatMessage.implementation.create({
+    content,
+    speaker: getSpeaker(actor),
+    whisper: buildSummaryWhisper(actor, [{ cardVisibility: getCardVisibility(config) }]),
+    flags: {
+      [MODULE_ID]: {
+        type: "ventureMilestone",
+        actorUuid: actor.uuid,
+        facilityUuid: facility.uuid,
+        announcement
+      }
+    }
+  });
+}
+
+function formatVentureEventEffect(event, rewards = []) {
+  const parts = [];
+  if (event.gp) parts.push(game.i18n.format("INDYVENTURES.Chat.EventWindfall", { gp: event.gp }));
+  if (event.loss) parts.push(game.i18n.format("INDYVENTURES.Chat.EventLoss", { gp: event.loss }));
+  if (event.profitDieStep) {
+    parts.push(game.i18n.format("INDYVENTURES.Chat.ManagementStep", { step: formatSignedNumber(event.profitDieStep) }));
+  }
+  if (event.profitRollBonus) {
+    parts.push(game.i18n.format("INDYVENTURES.Chat.ManagementBonus", { bonus: formatSignedNumber(event.profitRollBonus) }));
+  }
+  for (const reward of rewards) {
+    parts.push(game.i18n.format(reward.free ? "INDYVENTURES.Chat.EventFreeBoon" : "INDYVENTURES.Chat.EventModifier", {
+      name: reward.name
+    }));
+  }
+  return parts.join(", ");
 }
 
 function parseEffectNumber(value, fallback = 0) {
@@ -228,9 +656,15 @@ function parseEffectBoolean(value, fallback = false) {
   return Boolean(value);
 }
 
+// Effects may target several ventures, so die values are only checked against a ladder when applied.
+function parseEffectRate(value) {
+  if ((value === undefined) || (value === null) || (String(value).trim() === "")) return null;
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 0), 100) : null;
+}
+
 function parseEffectDie(value) {
-  const die = String(value ?? "").trim().toLowerCase();
-  return DICE_STEPS.includes(die) ? die : null;
+  return normalizeDieFormula(value) || null;
 }
 
 function parseCurrencyValue(value) {
@@ -239,14 +673,6 @@ function parseCurrencyValue(value) {
   return Math.max(parsed, 0);
 }
 
-function gpToCp(gp) {
-  return Math.max(Math.round((Number(gp) || 0) * 100), 0);
-}
-
-function cpToGp(cp) {
-  return Math.max((Number(cp) || 0) / 100, 0);
-}
-
 function formatGpAmount(value) {
   const amount = Number(value) || 0;
   return Number.isInteger(amount) ? String(amount) : amount.toFixed(2).replace(/\.?0+$/, "");
@@ -257,7 +683,7 @@ function createCoverageWallet(actor) {
     currency: {},
     dirty: false
   };
-  for (const key of CURRENCY_ORDER) {
+  for (const { key } of getCurrencyTable()) {
     wallet.currency[key] = parseCurrencyValue(actor?.system?.currency?.[key] ?? 0);
   }
   return wallet;
@@ -268,11 +694,11 @@ function getWalletCurrency(wallet, key) {
 }
 
 function getWalletTotalCp(wallet) {
-  return CURRENCY_ORDER.reduce((total, key) => total + (getWalletCurrency(wallet, key) * CURRENCY_IN_CP[key]), 0);
+  return getCurrencyTable().reduce((total, coin) => total + (getWalletCurrency(wallet, coin.key) * coin.cp), 0);
 }
 
 function getWalletTotalGp(wallet) {
-  return cpToGp(getWalletTotalCp(wallet));
+  return cpToGp(Math.floor(getWalletTotalCp(wallet)));
 }
 
 function canCoverFromInventory(wallet, gpAmount) {
@@ -280,8 +706,10 @@ function canCoverFromInventory(wallet, gpAmount) {
 }
 
 function spendFromGp(wallet, gpAmount) {
-  const amount = Math.max(Number(gpAmount) || 0, 0);
+  const amount = Math.max(roundGp(gpAmount), 0);
   if (amount <= 0) return true;
+  // Part of a gp has to be paid in smaller coins, so the whole purse makes change.
+  if (!Number.isInteger(amount)) return spendFromInventory(wallet, amount);
   const gp = getWalletCurrency(wallet, "gp");
   if (gp < amount) return false;
   wallet.currency.gp = gp - amount;
@@ -292,22 +720,24 @@ function spendFromGp(wallet, gpAmount) {
 function spendFromInventory(wallet, gpAmount) {
   const requiredCp = gpToCp(gpAmount);
   if (requiredCp <= 0) return true;
-  const totalCp = getWalletTotalCp(wallet);
-  if (totalCp < requiredCp) return false;
-
-  let remainingCp = totalCp - requiredCp;
-  for (const key of CURRENCY_ORDER) {
-    const unit = CURRENCY_IN_CP[key];
-    wallet.currency[key] = Math.floor(remainingCp / unit);
-    remainingCp %= unit;
-  }
+  const currency = spendCurrencyCoins(wallet.currency, requiredCp);
+  if (!currency) return false;
+  Object.assign(wallet.currency, currency);
   wallet.dirty = true;
   return true;
 }
 
+function addToWallet(wallet, gpAmount) {
+  for (const [key, count] of Object.entries(splitCopperIntoCoins(gpToCp(gpAmount)))) {
+    if (!count) continue;
+    wallet.currency[key] = getWalletCurrency(wallet, key) + count;
+    wallet.dirty = true;
+  }
+}
+
 function buildWalletUpdateData(wallet) {
   const update = {};
-  for (const key of CURRENCY_ORDER) {
+  for (const { key } of getCurrencyTable()) {
     update[`system.currency.${key}`] = getWalletCurrency(wallet, key);
   }
   return update;
@@ -315,6 +745,7 @@ function buildWalletUpdateData(wallet) {
 
 function summarizeModifierEffect(modifier) {
   const parts = [];
+  if (modifier.tags?.length) parts.push(`tagged ${modifier.tags.join(" / ")}`);
   if (modifier.profitDieStep) parts.push(`profit die step ${modifier.profitDieStep > 0 ? "+" : ""}${modifier.profitDieStep}`);
   if (modifier.profitDieOverride) parts.push(`profit die ${modifier.profitDieOverride}`);
   if (modifier.minProfitDie) parts.push(`minimum profit die ${modifier.minProfitDie}`);
@@ -323,6 +754,8 @@ function summarizeModifierEffect(modifier) {
   if (modifier.maxLossDie) parts.push(`maximum loss die ${modifier.maxLossDie}`);
   if (modifier.successThresholdOverride) parts.push(`successes to grow ${modifier.successThresholdOverride}`);
   if (modifier.profitRollBonus) parts.push(`profit bonus ${modifier.profitRollBonus > 0 ? "+" : ""}${modifier.profitRollBonus}`);
+  if ((modifier.taxRateOverride !== null) && (modifier.taxRateOverride !== undefined)) parts.push(`tax rate ${modifier.taxRateOverride}%`);
+  if (modifier.vaultCapacityBonus) parts.push(`vault capacity ${modifier.vaultCapacityBonus > 0 ? "+" : ""}${modifier.vaultCapacityBonus} gp`);
   if (modifier.bastionDurationType === "nextBastionTurn") {
     parts.push("duration: 1 bastion turn");
   }
@@ -388,6 +821,21 @@ function buildModifierImpactLines(modifier, context) {
       total: context.profitRollTotal
     }));
   }
+  if ((modifier.taxRateOverride !== null) && (modifier.taxRateOverride !== undefined)) {
+    lines.push(game.i18n.format("INDYVENTURES.Chat.ModifierImpactTaxRate", {
+      rate: modifier.taxRateOverride,
+      effective: context.taxRate
+    }));
+  }
+  if (modifier.vaultCapacityBonus) {
+    lines.push(game.i18n.format(
+      context.vaultCapacity === null ? "INDYVENTURES.Chat.ModifierImpactVaultUncapped" : "INDYVENTURES.Chat.ModifierImpactVaultCapacity",
+      {
+        bonus: formatSignedNumber(modifier.vaultCapacityBonus),
+        capacity: context.vaultCapacity
+      }
+    ));
+  }
   return lines;
 }
 
@@ -452,37 +900,37 @@ function buildModifierEffectsTooltip(modifierEffects = [], modifierOutcome = nul
   return [...outcomeLines, ...effectBlocks].join("\n\n");
 }
 
-function dieIndex(die) {
-  return DICE_STEPS.indexOf(parseEffectDie(die) ?? "");
+function dieIndex(die, ladder = DICE_STEPS) {
+  return dieLadderIndex(die, ladder);
 }
 
-function maxDie(first, second) {
-  const firstIndex = dieIndex(first);
-  const secondIndex = dieIndex(second);
+function maxDie(first, second, ladder = DICE_STEPS) {
+  const firstIndex = dieIndex(first, ladder);
+  const secondIndex = dieIndex(second, ladder);
   if (firstIndex === -1) return second;
   if (secondIndex === -1) return first;
   return secondIndex > firstIndex ? second : first;
 }
 
-function minDie(first, second) {
-  const firstIndex = dieIndex(first);
-  const secondIndex = dieIndex(second);
+function minDie(first, second, ladder = DICE_STEPS) {
+  const firstIndex = dieIndex(first, ladder);
+  const secondIndex = dieIndex(second, ladder);
   if (firstIndex === -1) return second;
   if (secondIndex === -1) return first;
   return secondIndex < firstIndex ? second : first;
 }
 
-function applyMinimumDie(die, minimumDie) {
-  if (!minimumDie) return die;
-  return maxDie(die, minimumDie);
+function applyMinimumDie(die, minimumDie, ladder = DICE_STEPS) {
+  if (!minimumDie || (dieIndex(die, ladder) === -1)) return die;
+  return maxDie(die, minimumDie, ladder);
 }
 
-function applyMaximumDie(die, maximumDie) {
-  if (!maximumDie) return die;
-  return minDie(die, maximumDie);
+function applyMaximumDie(die, maximumDie, ladder = DICE_STEPS) {
+  if (!maximumDie || (dieIndex(die, ladder) === -1)) return die;
+  return minDie(die, maximumDie, ladder);
 }
 
-function getEffectModifierData(effect) {
+export function getEffectModifierData(effect) {
   const rawFlagData = effect.getFlag(MODULE_ID, "ventureModifier");
   const fromFlags = (rawFlagData && (typeof rawFlagData === "object")) ? rawFlagData : {};
   const sourceHasFlag = Object.keys(fromFlags).length > 0;
@@ -517,6 +965,7 @@ function getEffectModifierData(effect) {
     enabled: parseEffectBoolean(raw.enabled, true),
     applyToAllVentures: parseEffectBoolean(raw.applyToAllVentures, false),
     facilityId,
+    tags: parseVentureTags(raw.tags),
     profitDieStep: parseEffectNumber(raw.profitDieStep, 0),
     profitDieOverride: parseEffectDie(raw.profitDieOverride),
     minProfitDie: parseEffectDie(raw.minProfitDie),
@@ -525,6 +974,8 @@ function getEffectModifierData(effect) {
     maxLossDie: parseEffectDie(raw.maxLossDie),
     successThresholdOverride,
     profitRollBonus: parseEffectNumber(raw.profitRollBonus, 0),
+    taxRateOverride: parseEffectRate(raw.taxRateOverride),
+    vaultCapacityBonus: parseCurrencyAmount(raw.vaultCapacityBonus, 0),
     bastionDurationType,
     remainingTurns,
     consumePerTurn: parseEffectBoolean(raw.consumePerTurn, true),
@@ -579,13 +1030,14 @@ function modifierAppliesToFacility(modifier, facility, source = null) {
       return true;
     }
   }
+  if (modifier.tags?.length && !matchesVentureTags(getFacilityConfig(facility).tags, modifier.tags)) return false;
   if (modifier.applyToAllVentures) return true;
   const target = modifier.facilityId;
   if (!target || (target === "*") || (target.toLowerCase() === "all")) return true;
   return [facility.id, facility.uuid, facility.name].includes(target);
 }
 
-function getModifierEffectSources(actor, facility) {
+function getModifierEffectSources(actor, facility, worldTurnKey = "") {
   const sources = [];
   if (actor?.effects) {
     sources.push({
@@ -601,6 +1053,14 @@ function getModifierEffectSources(actor, facility) {
       effects: facility.effects
     });
   }
+  const worldEffects = facility ? getWorldModifierEffects(facility, worldTurnKey) : [];
+  if (worldEffects.length) {
+    sources.push({
+      owner: { id: "world", name: game.i18n.localize("INDYVENTURES.WorldEconomy.Title") },
+      ownerType: "world",
+      effects: worldEffects
+    });
+  }
   return sources;
 }
 
@@ -629,8 +1089,8 @@ function getEffectModifierChangeRows(effect) {
     }));
 }
 
-function collectActiveVentureModifiers(actor, facility) {
-  const aggregate = {
+export function createModifierAggregate() {
+  return {
     profitDieStep: 0,
     profitDieOverride: null,
     minProfitDie: null,
@@ -638,13 +1098,51 @@ function collectActiveVentureModifiers(actor, facility) {
     lossDieOverride: null,
     maxLossDie: null,
     successThresholdOverride: null,
-    profitRollBonus: 0
+    profitRollBonus: 0,
+    taxRateOverride: null,
+    vaultCapacityBonus: 0
   };
+}
+
+export function applyModifierToAggregate(aggregate, modifier, ladder = DICE_STEPS) {
+  aggregate.profitDieStep += modifier.profitDieStep;
+  aggregate.lossDieStep += modifier.lossDieStep;
+  aggregate.profitRollBonus += modifier.profitRollBonus;
+  aggregate.vaultCapacityBonus = roundGp(aggregate.vaultCapacityBonus + (modifier.vaultCapacityBonus ?? 0));
+  if (modifier.profitDieOverride) aggregate.profitDieOverride = modifier.profitDieOverride;
+  if (modifier.lossDieOverride) aggregate.lossDieOverride = modifier.lossDieOverride;
+  if (modifier.maxLossDie) {
+    aggregate.maxLossDie = aggregate.maxLossDie
+      ? minDie(aggregate.maxLossDie, modifier.maxLossDie, ladder)
+      : modifier.maxLossDie;
+  }
+  if (modifier.successThresholdOverride) {
+    aggregate.successThresholdOverride = aggregate.successThresholdOverride
+      ? Math.max(aggregate.successThresholdOverride, modifier.successThresholdOverride)
+      : modifier.successThresholdOverride;
+  }
+  if (modifier.minProfitDie) {
+    aggregate.minProfitDie = aggregate.minProfitDie
+      ? maxDie(aggregate.minProfitDie, modifier.minProfitDie, ladder)
+      : modifier.minProfitDie;
+  }
+  if ((modifier.taxRateOverride !== null) && (modifier.taxRateOverride !== undefined)) {
+    aggregate.taxRateOverride = (aggregate.taxRateOverride === null)
+      ? modifier.taxRateOverride
+      : Math.min(aggregate.taxRateOverride, modifier.taxRateOverride);
+  }
+  return aggregate;
+}
+
+export function collectActiveVentureModifiers(actor, facility, worldTurnKey = "") {
+  const aggregate = createModifierAggregate();
+  const ladder = getDieLadder(getFacilityConfig(facility));
+  const appliedModifiers = [];
   const trackedEffects = [];
   const growConsumableEffects = [];
   const debugEffects = [];
 
-  const sources = getModifierEffectSources(actor, facility);
+  const sources = getModifierEffectSources(actor, facility, worldTurnKey);
   for (const source of sources) {
     for (const effect of source.effects ?? []) {
       if (!effect) continue;
@@ -738,26 +1236,8 @@ function collectActiveVentureModifiers(actor, facility) {
         continue;
       }
 
-      aggregate.profitDieStep += modifier.profitDieStep;
-      aggregate.lossDieStep += modifier.lossDieStep;
-      aggregate.profitRollBonus += modifier.profitRollBonus;
-      if (modifier.profitDieOverride) aggregate.profitDieOverride = modifier.profitDieOverride;
-      if (modifier.lossDieOverride) aggregate.lossDieOverride = modifier.lossDieOverride;
-      if (modifier.maxLossDie) {
-        aggregate.maxLossDie = aggregate.maxLossDie
-          ? minDie(aggregate.maxLossDie, modifier.maxLossDie)
-          : modifier.maxLossDie;
-      }
-      if (modifier.successThresholdOverride) {
-        aggregate.successThresholdOverride = aggregate.successThresholdOverride
-          ? Math.max(aggregate.successThresholdOverride, modifier.successThresholdOverride)
-          : modifier.successThresholdOverride;
-      }
-      if (modifier.minProfitDie) {
-        aggregate.minProfitDie = aggregate.minProfitDie
-          ? maxDie(aggregate.minProfitDie, modifier.minProfitDie)
-          : modifier.minProfitDie;
-      }
+      applyModifierToAggregate(aggregate, modifier, ladder);
+      appliedModifiers.push({ ...modifier, effectName: effect.name });
 
       if (modifier.consumePerTurn && (modifier.remainingTurns !== null)) {
         trackedEffects.push({
@@ -798,6 +1278,8 @@ function collectActiveVentureModifiers(actor, facility) {
         maxLossDie: modifier.maxLossDie,
         successThresholdOverride: modifier.successThresholdOverride,
         profitRollBonus: modifier.profitRollBonus,
+        taxRateOverride: modifier.taxRateOverride,
+        vaultCapacityBonus: modifier.vaultCapacityBonus,
         skipped: false
       });
       moduleLog("Venture modifiers: applied effect", {
@@ -815,16 +1297,23 @@ function collectActiveVentureModifiers(actor, facility) {
   }, {});
 
   moduleLog("Venture modifiers: effect scan summary", {
-    actor: actor.name,
+    actor: actor?.name ?? null,
     facility: facility.name,
-    actorEffects: actor.effects?.size ?? 0,
+    actorEffects: actor?.effects?.size ?? 0,
     facilityEffects: facility.effects?.size ?? 0,
     modifierEffectsFound: debugEffects.length,
     modifierEffectsApplied: debugEffects.filter(effect => !effect.skipped).length,
     reasonCounts
   });
 
-  return { aggregate, trackedEffects, growConsumableEffects, debugEffects };
+  return { aggregate, appliedModifiers, trackedEffects, growConsumableEffects, debugEffects };
+}
+
+export function getVentureVaultCapacity(facility) {
+  const config = getFacilityConfig(facility);
+  if (!config.vaultMode) return null;
+  const { aggregate } = collectActiveVentureModifiers(facility.actor ?? null, facility);
+  return getVaultCapacity(facility, config, aggregate.vaultCapacityBonus);
 }
 
 function collectActiveBastionDurationEffects(actor) {
@@ -871,14 +1360,16 @@ function markModifiersForDeletion(usageMap, trackedEffects, reason = "") {
   }
 }
 
+// Returns what was changed per owner so a turn revert can restore durations and re-create deleted effects.
 async function decrementModifierDurations(usageMap) {
-  if (!usageMap?.size) return;
+  const revertData = [];
+  if (!usageMap?.size) return revertData;
 
   const byOwner = new Map();
   for (const tracked of usageMap.values()) {
     if (tracked.forceDelete) {
       const ownerKey = tracked.ownerUuid;
-      const ownerEntry = byOwner.get(ownerKey) ?? { updates: [], deletes: [], debug: [] };
+      const ownerEntry = byOwner.get(ownerKey) ?? { updates: [], deletes: [], restores: [], debug: [] };
       ownerEntry.debug.push({
         id: tracked.effectId,
         ownerType: tracked.ownerType,
@@ -895,7 +1386,7 @@ async function decrementModifierDurations(usageMap) {
     if (currentRemaining <= 0) continue;
     const nextRemaining = Math.max(currentRemaining - 1, 0);
     const ownerKey = tracked.ownerUuid;
-    const ownerEntry = byOwner.get(ownerKey) ?? { updates: [], deletes: [], debug: [] };
+    const ownerEntry = byOwner.get(ownerKey) ?? { updates: [], deletes: [], restores: [], debug: [] };
     ownerEntry.debug.push({
       id: tracked.effectId,
       ownerType: tracked.ownerType,
@@ -911,11 +1402,15 @@ async function decrementModifierDurations(usageMap) {
         _id: tracked.effectId,
         [tracked.durationPath || `${VENTURE_MODIFIER_FLAG}.remainingTurns`]: nextRemaining
       });
+      ownerEntry.restores.push({
+        _id: tracked.effectId,
+        [tracked.durationPath || `${VENTURE_MODIFIER_FLAG}.remainingTurns`]: currentRemaining
+      });
     }
     byOwner.set(ownerKey, ownerEntry);
   }
 
-  if (!byOwner.size) return;
+  if (!byOwner.size) return revertData;
 
   for (const [ownerUuid, entry] of byOwner.entries()) {
     const owner = await fromUuid(ownerUuid);
@@ -928,13 +1423,22 @@ async function decrementModifierDurations(usageMap) {
       ownerUuid,
       effects: entry.debug
     });
+    const deletedEffects = entry.deletes
+      .map(effectId => owner.effects?.get(effectId)?.toObject())
+      .filter(Boolean);
     if (entry.updates.length) {
       await owner.updateEmbeddedDocuments("ActiveEffect", entry.updates);
     }
     if (entry.deletes.length && owner.deleteEmbeddedDocuments) {
       await owner.deleteEmbeddedDocuments("ActiveEffect", entry.deletes);
     }
+    revertData.push({
+      ownerUuid,
+      updates: entry.restores,
+      deleted: deletedEffects
+    });
   }
+  return revertData;
 }
 
 function isFacilityEligibleForVenture(facility, config, state) {
@@ -1050,7 +1554,12 @@ function buildGroupPurchaseCountMap(boons = [], state = {}) {
 function getPreferredCoverageUser(actor) {
   const activeOwners = game.users
     .filter(user => user.active && actor.testUserPermission(user, "OWNER"));
-  return activeOwners.find(user => !user.isGM) ?? activeOwners[0] ?? null;
+  // Group ventures prefer an owner whose assigned character is a member of the group.
+  const memberIds = new Set(getGroupMembers(actor).map(member => member.id));
+  return activeOwners.find(user => !user.isGM && memberIds.has(user.character?.id))
+    ?? activeOwners.find(user => !user.isGM)
+    ?? activeOwners[0]
+    ?? null;
 }
 
 async function promptCoverageChoice({
@@ -1221,6 +1730,7 @@ async function maybeCoverDeficitTreasuryOrActor({
   actor,
   facility,
   deficit,
+  plan,
   state,
   wallet
 }) {
@@ -1239,8 +1749,7 @@ async function maybeCoverDeficitTreasuryOrActor({
 
   if (deficit <= 0) return result;
 
-  const treasuryAvailable = Math.min(state.treasury, deficit);
-  const actorNeededAfterTreasury = Math.max(deficit - treasuryAvailable, 0);
+  const { treasuryAvailable, afterTreasury: actorNeededAfterTreasury } = plan;
   const canCoverWithTreasuryAndActor = (treasuryAvailable > 0) && canCoverFromInventory(wallet, actorNeededAfterTreasury);
   const canCoverWithActor = canCoverFromInventory(wallet, deficit);
   result.insufficientFunds = !canCoverWithTreasuryAndActor && !canCoverWithActor;
@@ -1286,7 +1795,7 @@ async function maybeCoverDeficitTreasuryOrActor({
 
   if (choice === "treasuryActor") {
     if (treasuryAvailable > 0) {
-      state.treasury -= treasuryAvailable;
+      setTreasury(state, state.treasury - treasuryAvailable);
       result.treasuryCovered = treasuryAvailable;
     }
     if (actorNeededAfterTreasury > 0) {
@@ -1410,103 +1919,469 @@ async function maybeCoverCharacterDeficit({
   return result;
 }
 
-async function rollDie(formula, actor, facilityName, rollLabel) {
-  return requestUserRoll({ formula, actor, facilityName, rollLabel });
+// The pure helpers below are the turn rules shared by processSingleVenture and the forecast in simulator.js.
+
+// Staff, the management check and the turn's event shift the dice and profit roll on top of the active modifiers.
+export function applyTurnAdjustments(aggregate, adjustments = []) {
+  for (const adjustment of adjustments) {
+    if (!adjustment) continue;
+    aggregate.profitDieStep += Number(adjustment.profitDieStep) || 0;
+    aggregate.lossDieStep += Number(adjustment.lossDieStep) || 0;
+    aggregate.profitRollBonus += Number(adjustment.profitRollBonus) || 0;
+  }
+  return aggregate;
 }
 
-async function processSingleVenture(facility, actor, wallet, turnId, modifierDurationUsage) {
-  const config = getFacilityConfig(facility);
-  const state = getFacilityState(facility, config);
-  if (!isFacilityEligibleForVenture(facility, config, state)) return null;
+export function applyVaultTheftRisk(aggregate, config, state, vaultCapacity) {
+  const theftRisk = hasVaultTheftRisk(config, state, vaultCapacity);
+  if (theftRisk) aggregate.lossDieStep += VAULT_THEFT_LOSS_DIE_STEP;
+  return theftRisk;
+}
 
-  if (turnId && (state.turnId !== turnId)) {
-    state.turnId = turnId;
-    state.boonPurchasesTurnId = turnId;
-    state.boonPurchases = {};
-  } else if (state.turnId && (state.boonPurchasesTurnId !== state.turnId)) {
-    state.boonPurchasesTurnId = state.turnId;
-    state.boonPurchases = {};
-  }
+// Turns the rolls into gp. Event gp, staff wages and fixed costs add to each side, then tax takes its cut of a positive net.
+export function computeTurnEconomics({ config, profitRollTotal, lossRollTotal, aggregate, staffEffects, event = null, worldTaxRate = 0 }) {
+  const rawProfitRollTotal = Number(profitRollTotal);
+  const profitRollBonus = aggregate.profitRollBonus;
+  const totalProfitRoll = Math.max(rawProfitRollTotal + profitRollBonus, 0);
+  const gpPerPoint = Math.max(Number(config.gpPerPoint ?? 100) || 0, 0);
+  const fixedCosts = getFixedCosts(config);
+  const profitGp = roundGp(totalProfitRoll * gpPerPoint);
+  const lossGp = roundGp(Number(lossRollTotal) * gpPerPoint);
+  const eventGp = event?.gp ?? 0;
+  const eventLoss = event?.loss ?? 0;
+  const income = roundGp(profitGp + eventGp);
+  const preTaxOutgoings = roundGp(lossGp + eventLoss + staffEffects.wages + fixedCosts.total);
+  const preTaxNet = roundGp(income - preTaxOutgoings);
+  const taxRate = aggregate.taxRateOverride ?? worldTaxRate;
+  const tax = preTaxNet > 0 ? cpToGp(Math.floor((gpToCp(preTaxNet) * taxRate) / 100)) : 0;
+  const outgoings = roundGp(preTaxOutgoings + tax);
+  return {
+    rawProfitRollTotal,
+    profitRollBonus,
+    profitRollTotal: totalProfitRoll,
+    gpPerPoint,
+    fixedCosts,
+    profitGp,
+    lossGp,
+    eventGp,
+    eventLoss,
+    wages: staffEffects.wages,
+    income,
+    outgoings,
+    taxRate,
+    tax,
+    net: roundGp(income - outgoings)
+  };
+}
 
-  const effectModifiers = collectActiveVentureModifiers(actor, facility);
-  queueModifierDurationUsage(modifierDurationUsage, effectModifiers.trackedEffects);
-  moduleLog("Venture modifiers: collected", {
-    actor: actor.name,
-    facility: facility.name,
-    aggregate: effectModifiers.aggregate,
-    effects: effectModifiers.debugEffects
-  });
+// Treasury first with the owner's coin for the rest, the owner's coin alone, or the owner's pick between the two.
+export function planDeficitCoverage(config, treasury, deficit) {
+  const treasuryAvailable = Math.min(Math.max(treasury, 0), deficit);
+  const afterTreasury = Math.max(roundGp(deficit - treasuryAvailable), 0);
+  if (config.autoUseTreasuryLoss) {
+    return { mode: "treasuryFirst", treasuryAvailable, afterTreasury, autoCoverLoss: Boolean(config.autoCoverLoss) };
+  }
+  if (config.autoCoverLoss) return { mode: "actor", treasuryAvailable, afterTreasury, autoCoverLoss: true };
+  return { mode: "choice", treasuryAvailable, afterTreasury, autoCoverLoss: false };
+}
 
-  const stateBefore = {
-    currentProfitDie: state.currentProfitDie,
-    streak: state.streak,
-    treasury: state.treasury,
-    failed: state.failed
+export function settleDeficitCoverage(deficit, treasuryCovered, characterCovered) {
+  return {
+    covered: roundGp(treasuryCovered + characterCovered) >= deficit,
+    uncovered: Math.max(roundGp(deficit - treasuryCovered - characterCovered), 0)
   };
-  const baseProfitDie = stateBefore.currentProfitDie;
+}
+
+// Banks a profitable net. Overflow past the vault cap leaves the treasury unless the theft rule leaves it lying around.
+export function bankTurnProfit(state, config, net, vaultCapacity) {
+  setTreasury(state, state.treasury + net);
+  const overflow = getVaultOverflow(state, vaultCapacity, net);
+  if (overflow && (config.vaultOverflow !== "theft")) setTreasury(state, state.treasury - overflow);
+  return overflow;
+}
+
+// Partners take their share of a payout and the owner keeps the rest. Pass only the partners that can be paid.
+export function splitOwnerPayout(amount, partners = []) {
+  const allocations = splitPartnerShares(amount, partners);
+  const partnerTotal = allocations.reduce((total, allocation) => total + allocation.amount, 0);
+  return { ownerAmount: Math.max(roundGp(amount - partnerTotal), 0), allocations };
+}
+
+export function computeVentureDice(config, currentProfitDie, aggregate) {
+  const ladder = getDieLadder(config);
+  const baseProfitDie = currentProfitDie;
   const baseSuccessThreshold = Math.max(Number(config.successThreshold) || 1, 1);
-  let steppedProfitDie = shiftDie(baseProfitDie, effectModifiers.aggregate.profitDieStep);
+  const steppedProfitDie = shiftDie(baseProfitDie, aggregate.profitDieStep, ladder);
   let rolledProfitDie = steppedProfitDie;
-  if (effectModifiers.aggregate.profitDieOverride) {
-    rolledProfitDie = effectModifiers.aggregate.profitDieOverride;
+  if (aggregate.profitDieOverride) {
+    rolledProfitDie = aggregate.profitDieOverride;
   }
-  rolledProfitDie = applyMinimumDie(rolledProfitDie, effectModifiers.aggregate.minProfitDie);
+  rolledProfitDie = applyMinimumDie(rolledProfitDie, aggregate.minProfitDie, ladder);
 
-  const baseLossDie = shiftDie(config.lossDie, config.lossModifier);
-  let steppedLossDie = shiftDie(config.lossDie, config.lossModifier + effectModifiers.aggregate.lossDieStep);
+  const baseLossDie = shiftDie(config.lossDie, config.lossModifier, ladder);
+  const steppedLossDie = shiftDie(config.lossDie, config.lossModifier + aggregate.lossDieStep, ladder);
   let lossDie = steppedLossDie;
-  if (effectModifiers.aggregate.lossDieOverride) {
-    lossDie = effectModifiers.aggregate.lossDieOverride;
+  if (aggregate.lossDieOverride) {
+    lossDie = aggregate.lossDieOverride;
   }
-  lossDie = applyMaximumDie(lossDie, effectModifiers.aggregate.maxLossDie);
+  lossDie = applyMaximumDie(lossDie, aggregate.maxLossDie, ladder);
 
   const effectiveSuccessThreshold = Math.max(
-    Number(effectModifiers.aggregate.successThresholdOverride ?? baseSuccessThreshold) || baseSuccessThreshold,
+    Number(aggregate.successThresholdOverride ?? baseSuccessThreshold) || baseSuccessThreshold,
     1
   );
-  moduleLog("Venture modifiers: computed dice before rolls", {
-    actor: actor.name,
-    facility: facility.name,
+  return {
     baseProfitDie,
     steppedProfitDie,
-    finalProfitDie: rolledProfitDie,
+    rolledProfitDie,
     baseLossDie,
     steppedLossDie,
-    finalLossDie: lossDie,
+    lossDie,
     baseSuccessThreshold,
-    effectiveSuccessThreshold,
-    aggregate: foundry.utils.deepClone(effectModifiers.aggregate),
-    appliedEffects: effectModifiers.debugEffects
-      .filter(effect => !effect.skipped)
-      .map(effect => ({
-        id: effect.id,
-        name: effect.name,
-        ownerType: effect.ownerType,
-        ownerName: effect.ownerName
-      }))
-  });
+    effectiveSuccessThreshold
+  };
+}
 
-  const profitRoll = await rollDie(
-    rolledProfitDie,
-    actor,
-    config.ventureName || facility.name,
-    game.i18n.localize("INDYVENTURES.RollPrompt.Profit")
+// Positive net advances the success streak; reaching the threshold grows the profit die one step.
+export function applyProfitableTurn(state, {
+  naturalOnePenaltyApplies = false,
+  effectiveSuccessThreshold = 1,
+  ladder = DICE_STEPS,
+  maxProfitDie = ""
+} = {}) {
+  if (naturalOnePenaltyApplies) {
+    state.streak = 0;
+    return false;
+  }
+  state.streak += 1;
+  if (state.streak < effectiveSuccessThreshold) return false;
+  const previousDie = state.currentProfitDie;
+  state.currentProfitDie = growDie(state.currentProfitDie, ladder, maxProfitDie);
+  state.streak = 0;
+  return dieIndex(state.currentProfitDie, ladder) > dieIndex(previousDie, ladder);
+}
+
+// An uncovered deficit fails a venture on the lowest ladder step, otherwise degrades the profit die one step.
+export function applyUncoveredDeficit(state, config, minProfitDie = null) {
+  const ladder = getDieLadder(config);
+  if (dieIndex(state.currentProfitDie, ladder) <= 0) {
+    state.failed = true;
+    config.enabled = false;
+    return { failed: true, degraded: false };
+  }
+  const previousDie = state.currentProfitDie;
+  const downgraded = shiftDie(state.currentProfitDie, -1, ladder);
+  state.currentProfitDie = applyMinimumDie(downgraded, minProfitDie, ladder);
+  return { failed: false, degraded: dieIndex(state.currentProfitDie, ladder) < dieIndex(previousDie, ladder) };
+}
+
+export function applyNaturalOnePenalty(state, minProfitDie = null, ladder = DICE_STEPS) {
+  const previousDie = state.currentProfitDie;
+  const downgraded = shiftDie(state.currentProfitDie, -1, ladder);
+  state.currentProfitDie = applyMinimumDie(downgraded, minProfitDie, ladder);
+  state.streak = 0;
+  return dieIndex(state.currentProfitDie, ladder) < dieIndex(previousDie, ladder);
+}
+
+// Coin left above the vault capacity under the theft rule makes the next loss roll worse.
+export function hasVaultTheftRisk(config, state, vaultCapacity) {
+  return (config.vaultOverflow === "theft") && (vaultCapacity !== null) && (state.treasury > vaultCapacity);
+}
+
+// Only the part of this turn's profit that pushed the treasury past the cap counts as overflow.
+export function getVaultOverflow(state, vaultCapacity, net) {
+  if ((vaultCapacity === null) || (net <= 0)) return 0;
+  return Math.min(net, Math.max(roundGp(state.treasury - vaultCapacity), 0));
+}
+
+// Ladder dice are tagged with a flavor so the natural die result can be told apart from roll-data bonuses.
+function tagVentureDie(die) {
+  const tagged = String(die ?? "").replace(/(\d*d\d+)/g, `$1[${VENTURE_DIE_FLAVOR}]`);
+  return /[+-]/.test(tagged) ? `(${tagged})` : tagged;
+}
+
+export function formatVentureFormula(formula) {
+  return String(formula ?? "").replaceAll(`[${VENTURE_DIE_FLAVOR}]`, "");
+}
+
+export function getVentureDieTotal(roll) {
+  const dice = (roll?.dice ?? []).filter(term => term.flavor === VENTURE_DIE_FLAVOR);
+  if (!dice.length) return Number(roll?.total) || 0;
+  return dice.reduce((total, term) => total + (Number(term.total) || 0), 0);
+}
+
+export function buildVentureRollData(actor, config, state, die) {
+  const rollData = actor?.getRollData?.() ?? {};
+  return {
+    ...rollData,
+    venture: {
+      die,
+      profitDie: state.currentProfitDie,
+      lossDie: config.lossDie,
+      streak: state.streak,
+      treasury: state.treasury,
+      successThreshold: config.successThreshold,
+      gpPerPoint: config.gpPerPoint
+    }
+  };
+}
+
+export function resolveVentureFormula(template, die, rollData = {}) {
+  const source = String(template ?? "").trim() || "@die";
+  const withDie = source.replace(/@die\b/g, tagVentureDie(die));
+  return Roll.replaceFormulaData(withDie, rollData, { missing: "0", warn: false });
+}
+
+async function rollDie(formula, actor, facilityName, rollLabel, { policy = "interactive", rollMode = "" } = {}) {
+  const roll = await requestUserRoll({ formula, actor, facilityName, rollLabel, policy, rollMode });
+  const total = Number(roll?.total);
+  const dieTotal = Number.isFinite(Number(roll?.dieTotal)) ? Number(roll.dieTotal) : getVentureDieTotal(roll);
+  return { total, dieTotal };
+}
+
+async function getPartnerWallet(partnerWallets, actorUuid) {
+  if (!partnerWallets.has(actorUuid)) {
+    const partner = await fromUuid(actorUuid).catch(() => null);
+    const wallet = (partner?.documentName === "Actor") ? createCoverageWallet(partner) : null;
+    partnerWallets.set(actorUuid, wallet
+      ? { actor: partner, wallet, before: foundry.utils.deepClone(wallet.currency) }
+      : null);
+  }
+  return partnerWallets.get(actorUuid);
+}
+
+// The owner pays the character share of a deficit up front; partners then reimburse their cut in coin.
+async function splitPartnerDeficit(config, wallet, characterCovered, partnerWallets) {
+  const payments = [];
+  for (const allocation of splitPartnerShares(characterCovered, config.partners)) {
+    const entry = await getPartnerWallet(partnerWallets, allocation.actorUuid);
+    if (!entry) continue;
+    const paid = spendFromGp(entry.wallet, allocation.amount);
+    if (paid) addToWallet(wallet, allocation.amount);
+    payments.push({ name: entry.actor.name, amount: allocation.amount, paid });
+  }
+  return payments;
+}
+
+function formatPartnerPayments(payments = []) {
+  return payments
+    .map(payment => game.i18n.format(payment.paid ? "INDYVENTURES.Chat.PartnerPaid" : "INDYVENTURES.Chat.PartnerUnpaid", {
+      name: payment.name,
+      amount: payment.amount
+    }))
+    .join(", ");
+}
+
+// Overflow is paid out like a treasury claim: partners take their share and the owner keeps the rest.
+async function payVaultOverflow(actor, config, wallet, amount, partnerWallets) {
+  const present = [];
+  for (const partner of config.partners) {
+    if (await getPartnerWallet(partnerWallets, partner.actorUuid)) present.push(partner);
+  }
+  const { ownerAmount, allocations } = splitOwnerPayout(amount, present);
+  const payouts = [];
+  for (const allocation of allocations) {
+    const entry = partnerWallets.get(allocation.actorUuid);
+    addToWallet(entry.wallet, allocation.amount);
+    payouts.push({ name: entry.actor.name, amount: allocation.amount });
+  }
+  addToWallet(wallet, ownerAmount);
+  return [{ name: actor.name, amount: ownerAmount }, ...payouts].filter(payout => payout.amount > 0);
+}
+
+function buildVaultText(vault) {
+  if (!vault) return "";
+  const parts = [];
+  if (vault.theftRisk) {
+    parts.push(game.i18n.format("INDYVENTURES.Chat.VaultTheftRisk", { capacity: vault.capacity }));
+  }
+  if (vault.overflow) {
+    const key = {
+      payout: "INDYVENTURES.Chat.VaultPaidOut",
+      forfeit: "INDYVENTURES.Chat.VaultForfeited",
+      theft: "INDYVENTURES.Chat.VaultUnguarded"
+    }[vault.rule];
+    parts.push(game.i18n.format(key, {
+      capacity: vault.capacity,
+      amount: formatGpAmount(vault.overflow),
+      recipients: vault.payouts.map(payout => `${payout.name} ${formatGpAmount(payout.amount)} gp`).join(", ")
+    }));
+  }
+  return parts.join(" ");
+}
+
+function buildPartnerShareText(actor, config) {
+  if (!config.partners.length) return "";
+  const shares = [
+    `${actor.name} ${getOwnerShare(config)}%`,
+    ...config.partners.map(partner => {
+      const name = fromUuidSync(partner.actorUuid, { strict: false })?.name ?? partner.actorUuid;
+      return `${name} ${partner.share}%`;
+    })
+  ];
+  return shares.join(", ");
+}
+
+export function getFixedCosts(config) {
+  const rent = Math.max(Number(config.rentCost) || 0, 0);
+  const upkeep = Math.max(Number(config.upkeepCost) || 0, 0);
+  const dues = Math.max(Number(config.duesCost) || 0, 0);
+  return { rent, upkeep, dues, total: roundGp(rent + upkeep + dues) };
+}
+
+function buildNetBreakdownTooltip({
+  income,
+  outgoings,
+  profitGp,
+  lossGp,
+  eventGp,
+  eventLoss,
+  wages,
+  fixedCosts,
+  tax,
+  taxRate
+}) {
+  const lines = [game.i18n.format("INDYVENTURES.Chat.NetBreakdownTooltip", { income, outgoings })];
+  const items = [
+    ["INDYVENTURES.Chat.NetItemProfitRoll", profitGp, true],
+    ["INDYVENTURES.Chat.NetItemEventIncome", eventGp, false],
+    ["INDYVENTURES.Chat.NetItemLossRoll", -lossGp, true],
+    ["INDYVENTURES.Chat.NetItemEventLoss", -eventLoss, false],
+    ["INDYVENTURES.Chat.NetItemWages", -wages, false],
+    ["INDYVENTURES.Chat.NetItemRent", -fixedCosts.rent, false],
+    ["INDYVENTURES.Chat.NetItemUpkeep", -fixedCosts.upkeep, false],
+    ["INDYVENTURES.Chat.NetItemDues", -fixedCosts.dues, false]
+  ];
+  for (const [key, amount, always] of items) {
+    if (!amount && !always) continue;
+    lines.push(game.i18n.format(key, { amount: formatSignedNumber(amount) }));
+  }
+  if (taxRate || tax) {
+    lines.push(game.i18n.format("INDYVENTURES.Chat.NetItemTax", { amount: formatSignedNumber(-tax), rate: taxRate }));
+  }
+  return lines.join("\n");
+}
+
+async function processSingleVenture(facility, actor, wallet, turnId, modifierDurationUsage, turnContext = {}) {
+  const { createdDocuments = [], partnerWallets = new Map() } = turnContext;
+  const config = getFacilityConfig(facility);
+  const state = getFacilityState(facility, config);
+  if (!isFacilityEligibleForVenture(facility, config, state)) return null;
+
+  if (turnId && (state.turnId !== turnId)) {
+    state.turnId = turnId;
+    state.boonPurchasesTurnId = turnId;
+    state.boonPurchases = {};
+  } else if (state.turnId && (state.boonPurchasesTurnId !== state.turnId)) {
+    state.boonPurchasesTurnId = state.turnId;
+    state.boonPurchases = {};
+  }
+
+  // Event effects and free boons are granted before the modifiers are collected, so they already shape this turn's rolls.
+  const ventureEvent = await drawVentureEvent(facility, config);
+  const eventRewards = await applyVentureEventRewards(ventureEvent, facility, actor, config, createdDocuments);
+  const effectModifiers = collectActiveVentureModifiers(actor, facility, turnContext.worldTurnKey);
+  queueModifierDurationUsage(modifierDurationUsage, effectModifiers.trackedEffects);
+  const managementCheck = await rollManagementCheck(facility, actor, config);
+  const staffEffects = getStaffEffects(config);
+  applyTurnAdjustments(effectModifiers.aggregate, [managementCheck, staffEffects, ventureEvent]);
+  const vaultCapacity = getVaultCapacity(facility, config, effectModifiers.aggregate.vaultCapacityBonus);
+  const vaultTheftRisk = applyVaultTheftRisk(effectModifiers.aggregate, config, state, vaultCapacity);
+  moduleLog("Venture modifiers: collected", {
+    actor: actor.name,
+    facility: facility.name,
+    aggregate: effectModifiers.aggregate,
+    effects: effectModifiers.debugEffects
+  });
+
+  const stateBefore = {
+    currentProfitDie: state.currentProfitDie,
+    streak: state.streak,
+    treasury: state.treasury,
+    failed: state.failed
+  };
+  const {
+    baseProfitDie,
+    steppedProfitDie,
+    rolledProfitDie,
+    baseLossDie,
+    steppedLossDie,
+    lossDie,
+    baseSuccessThreshold,
+    effectiveSuccessThreshold
+  } = computeVentureDice(config, stateBefore.currentProfitDie, effectModifiers.aggregate);
+  moduleLog("Venture modifiers: computed dice before rolls", {
+    actor: actor.name,
+    facility: facility.name,
+    baseProfitDie,
+    steppedProfitDie,
+    finalProfitDie: rolledProfitDie,
+    baseLossDie,
+    steppedLossDie,
+    finalLossDie: lossDie,
+    baseSuccessThreshold,
+    effectiveSuccessThreshold,
+    aggregate: foundry.utils.deepClone(effectModifiers.aggregate),
+    appliedEffects: effectModifiers.debugEffects
+      .filter(effect => !effect.skipped)
+      .map(effect => ({
+        id: effect.id,
+        name: effect.name,
+        ownerType: effect.ownerType,
+        ownerName: effect.ownerName
+      }))
+  });
+
+  const profitFormula = resolveVentureFormula(
+    config.profitFormula,
+    rolledProfitDie,
+    buildVentureRollData(actor, config, state, rolledProfitDie)
   );
-  const lossRoll = await rollDie(
+  const lossFormula = resolveVentureFormula(
+    config.lossFormula,
     lossDie,
+    buildVentureRollData(actor, config, state, lossDie)
+  );
+  const rollOptions = { policy: getRollPolicy(config), rollMode: getVentureRollMode(config) };
+  const profitRoll = await rollDie(
+    profitFormula,
     actor,
     config.ventureName || facility.name,
-    game.i18n.localize("INDYVENTURES.RollPrompt.Loss")
+    game.i18n.localize("INDYVENTURES.RollPrompt.Profit"),
+    rollOptions
+  );
+  const lossRoll = await rollDie(
+    lossFormula,
+    actor,
+    config.ventureName || facility.name,
+    game.i18n.localize("INDYVENTURES.RollPrompt.Loss"),
+    rollOptions
   );
 
-  const rawProfitRollTotal = Number(profitRoll.total);
-  const profitRollBonus = effectModifiers.aggregate.profitRollBonus;
-  const profitRollTotal = Math.max(rawProfitRollTotal + profitRollBonus, 0);
-  const gpPerPoint = Math.max(Number(config.gpPerPoint ?? 100) || 0, 0);
-  const income = profitRollTotal * gpPerPoint;
-  const outgoings = Number(lossRoll.total) * gpPerPoint;
-  const net = income - outgoings;
-  const rolledNaturalOne = rawProfitRollTotal === 1;
+  const economics = computeTurnEconomics({
+    config,
+    profitRollTotal: profitRoll.total,
+    lossRollTotal: lossRoll.total,
+    aggregate: effectModifiers.aggregate,
+    staffEffects,
+    event: ventureEvent,
+    worldTaxRate: getWorldTaxRate()
+  });
+  const {
+    rawProfitRollTotal,
+    profitRollBonus,
+    profitRollTotal,
+    gpPerPoint,
+    fixedCosts,
+    income,
+    outgoings,
+    taxRate,
+    tax,
+    net
+  } = economics;
+  const netBreakdownTooltip = buildNetBreakdownTooltip(economics);
+  const rolledNaturalOne = Number(profitRoll.dieTotal) === 1;
+  const hasRollFormulas = Boolean(String(config.profitFormula ?? "").trim() || String(config.lossFormula ?? "").trim());
   const naturalOnePenaltyApplies = Boolean(config.naturalOneDegradesProfitDie) && rolledNaturalOne;
   const modifierOutcome = {
     showProfitDie: baseProfitDie !== rolledProfitDie,
@@ -1546,125 +2421,82 @@ async function processSingleVenture(facility, actor, wallet, turnId, modifierDur
   let naturalOneDegraded = false;
   let failed = false;
   let deficit = 0;
+  let partnerPayments = [];
+  let vaultOverflow = 0;
+  let vaultPayouts = [];
 
   if (net > 0) {
-    state.treasury += net;
-    if (!naturalOnePenaltyApplies) {
-      state.streak += 1;
-      if (state.streak >= effectiveSuccessThreshold) {
-        const previousDie = state.currentProfitDie;
-        state.currentProfitDie = shiftDie(state.currentProfitDie, 1);
-        state.streak = 0;
-        grew = dieIndex(state.currentProfitDie) > dieIndex(previousDie);
-        if (grew) {
-          markModifiersForDeletion(modifierDurationUsage, effectModifiers.growConsumableEffects, "grown");
-        }
-      }
-    } else {
-      state.streak = 0;
+    state.profitStreak += 1;
+    state.lifetimeEarnings = roundGp(state.lifetimeEarnings + net);
+    vaultOverflow = bankTurnProfit(state, config, net, vaultCapacity);
+    if (vaultOverflow && (config.vaultOverflow === "payout")) {
+      vaultPayouts = await payVaultOverflow(actor, config, wallet, vaultOverflow, partnerWallets);
+    }
+    grew = applyProfitableTurn(state, {
+      naturalOnePenaltyApplies,
+      effectiveSuccessThreshold,
+      ladder: getDieLadder(config),
+      maxProfitDie: config.maxProfitDie
+    });
+    if (grew) {
+      markModifiersForDeletion(modifierDurationUsage, effectModifiers.growConsumableEffects, "grown");
     }
   } else if (net === 0) {
     // Break-even does not advance streak.
   } else {
     deficit = Math.abs(net);
     state.streak = 0;
+    state.profitStreak = 0;
 
     // Optionally apply venture treasury first; character funds handle any remainder.
-    if (config.autoUseTreasuryLoss) {
-      treasuryCovered = Math.min(state.treasury, deficit);
-      state.treasury -= treasuryCovered;
-      const characterDeficit = Math.max(deficit - treasuryCovered, 0);
-      const coverage = await maybeCoverCharacterDeficit({
+    const plan = planDeficitCoverage(config, state.treasury, deficit);
+    let coverage;
+    if (plan.mode === "choice") {
+      coverage = await maybeCoverDeficitTreasuryOrActor({
         actor,
         facility,
         deficit,
-        currentTreasury: state.treasury,
-        treasuryCover: treasuryCovered,
-        characterCover: characterDeficit,
-        wallet,
-        autoCoverLoss: config.autoCoverLoss
+        plan,
+        state,
+        wallet
       });
-      characterCovered = coverage.characterCovered;
-      coveredDeficit = (treasuryCovered + characterCovered) >= deficit;
-      autoCovered = coverage.autoCovered;
-      manualCovered = coverage.manualCovered;
-      coveredByInventory = coverage.coveredByInventory;
-      promptDeclined = coverage.promptDeclined;
-      promptTimedOut = coverage.promptTimedOut;
-      promptUserName = coverage.promptUserName;
-      insufficientFunds = coverage.insufficientFunds;
-      uncoveredDeficit = Math.max(deficit - treasuryCovered - characterCovered, 0);
-      hasCoverageSources = (treasuryCovered > 0) || (characterCovered > 0);
-    } else if (config.autoCoverLoss) {
-      treasuryCovered = 0;
-      const coverage = await maybeCoverCharacterDeficit({
+      treasuryCovered = coverage.treasuryCovered;
+    } else {
+      treasuryCovered = (plan.mode === "treasuryFirst") ? plan.treasuryAvailable : 0;
+      if (treasuryCovered) setTreasury(state, state.treasury - treasuryCovered);
+      coverage = await maybeCoverCharacterDeficit({
         actor,
         facility,
         deficit,
         currentTreasury: state.treasury,
-        treasuryCover: 0,
-        characterCover: deficit,
+        treasuryCover: treasuryCovered,
+        characterCover: (plan.mode === "treasuryFirst") ? plan.afterTreasury : deficit,
         wallet,
-        autoCoverLoss: true
-      });
-      characterCovered = coverage.characterCovered;
-      coveredDeficit = characterCovered >= deficit;
-      autoCovered = coverage.autoCovered;
-      manualCovered = coverage.manualCovered;
-      coveredByInventory = coverage.coveredByInventory;
-      promptDeclined = coverage.promptDeclined;
-      promptTimedOut = coverage.promptTimedOut;
-      promptUserName = coverage.promptUserName;
-      insufficientFunds = coverage.insufficientFunds;
-      uncoveredDeficit = Math.max(deficit - characterCovered, 0);
-      hasCoverageSources = characterCovered > 0;
-    } else {
-      treasuryCovered = 0;
-      const coverage = await maybeCoverDeficitTreasuryOrActor({
-        actor,
-        facility,
-        deficit,
-        state,
-        wallet
+        autoCoverLoss: plan.autoCoverLoss
       });
-      treasuryCovered = coverage.treasuryCovered;
-      characterCovered = coverage.characterCovered;
-      coveredDeficit = (treasuryCovered + characterCovered) >= deficit;
-      autoCovered = coverage.autoCovered;
-      manualCovered = coverage.manualCovered;
-      coveredByInventory = coverage.coveredByInventory;
-      promptDeclined = coverage.promptDeclined;
-      promptTimedOut = coverage.promptTimedOut;
-      promptUserName = coverage.promptUserName;
-      insufficientFunds = coverage.insufficientFunds;
-      uncoveredDeficit = Math.max(deficit - treasuryCovered - characterCovered, 0);
-      hasCoverageSources = (treasuryCovered > 0) || (characterCovered > 0);
     }
+    characterCovered = coverage.characterCovered;
+    ({ autoCovered, manualCovered, coveredByInventory, promptDeclined, promptTimedOut, promptUserName, insufficientFunds } = coverage);
+    ({ covered: coveredDeficit, uncovered: uncoveredDeficit } = settleDeficitCoverage(deficit, treasuryCovered, characterCovered));
+    hasCoverageSources = (treasuryCovered > 0) || (characterCovered > 0);
 
-    if (!coveredDeficit && (state.currentProfitDie === "d4")) {
-      state.failed = true;
-      config.enabled = false;
-      failed = true;
-    } else if (!coveredDeficit) {
-      const previousDie = state.currentProfitDie;
-      const downgraded = shiftDie(state.currentProfitDie, -1);
-      state.currentProfitDie = applyMinimumDie(downgraded, effectModifiers.aggregate.minProfitDie);
-      degraded = dieIndex(state.currentProfitDie) < dieIndex(previousDie);
+    if (characterCovered > 0) {
+      partnerPayments = await splitPartnerDeficit(config, wallet, characterCovered, partnerWallets);
+    }
+
+    if (!coveredDeficit) {
+      ({ failed, degraded } = applyUncoveredDeficit(state, config, effectModifiers.aggregate.minProfitDie));
     }
   }
 
   // A raw profit roll of 1 causes a one-step profit die downgrade (if possible).
   // This applies even if losses were fully covered.
   if (naturalOnePenaltyApplies && !failed && !degraded) {
-    const previousDie = state.currentProfitDie;
-    const downgraded = shiftDie(state.currentProfitDie, -1);
-    state.currentProfitDie = applyMinimumDie(downgraded, effectModifiers.aggregate.minProfitDie);
-    naturalOneDegraded = dieIndex(state.currentProfitDie) < dieIndex(previousDie);
+    naturalOneDegraded = applyNaturalOnePenalty(state, effectModifiers.aggregate.minProfitDie, getDieLadder(config));
     if (naturalOneDegraded) {
       degraded = true;
       grew = false;
     }
-    state.streak = 0;
   }
 
   const parsedBoons = parseBoonsFromConfig(config);
@@ -1739,7 +2571,9 @@ async function processSingleVenture(facility, actor, wallet, turnId, modifierDur
     effectiveSuccessThreshold,
     rawProfitRollTotal,
     aggregateProfitRollBonus: profitRollBonus,
-    profitRollTotal
+    profitRollTotal,
+    taxRate,
+    vaultCapacity
   };
   const modifierEffects = effectModifiers.debugEffects
     .filter(effect => !effect.skipped)
@@ -1767,13 +2601,24 @@ async function processSingleVenture(facility, actor, wallet, turnId, modifierDur
   const consumedOnGrowEffects = grew
     ? effectModifiers.growConsumableEffects.map(effect => effect.effectName).filter(Boolean)
     : [];
+  const vault = (vaultCapacity === null)
+    ? null
+    : {
+      capacity: vaultCapacity,
+      rule: config.vaultOverflow,
+      overflow: vaultOverflow,
+      theftRisk: vaultTheftRisk,
+      payouts: vaultPayouts
+    };
+  const reachedMilestones = recordReachedMilestones(config, state, state.turnId || turnId);
 
   moduleLog("Venture turn resolved", {
     actor: actor.name,
     facility: facility.name,
     config: {
       ventureName: config.ventureName,
-      baseProfitDie: config.profitDie,
+      baseProfitDie: config.startingProfitDie,
+      maxProfitDie: config.maxProfitDie,
       baseLossDie: config.lossDie,
       lossModifier: config.lossModifier,
       gpPerPoint: config.gpPerPoint,
@@ -1787,12 +2632,18 @@ async function processSingleVenture(facility, actor, wallet, turnId, modifierDur
     rolls: {
       profitDieRolled: rolledProfitDie,
       lossDieRolled: lossDie,
+      profitFormula,
+      lossFormula,
+      profitDieTotal: profitRoll.dieTotal,
       rawProfitRollTotal,
       rolledNaturalOne,
       naturalOnePenaltyApplies,
       profitRollBonus,
       profitRollTotal,
       lossRollTotal: Number(lossRoll.total),
+      fixedCosts,
+      taxRate,
+      tax,
       income,
       outgoings,
       net
@@ -1815,25 +2666,110 @@ async function processSingleVenture(facility, actor, wallet, turnId, modifierDur
       currentProfitDie: state.currentProfitDie,
       streak: state.streak,
       treasury: state.treasury,
-      failed: state.failed
+      failed: state.failed,
+      profitStreak: state.profitStreak,
+      lifetimeEarnings: state.lifetimeEarnings
     },
     modifierOutcome,
     modifierEffects,
-    consumedOnGrowEffects
+    consumedOnGrowEffects,
+    vault,
+    milestones: reachedMilestones.map(milestone => milestone.name)
   });
 
-  await updateFacilityVenture(facility, config, state);
+  appendHistoryEntry(state, {
+    turnId: state.turnId || turnId || "",
+    timestamp: Date.now(),
+    worldTime: Number(game.time?.worldTime ?? 0) || 0,
+    profitDie: rolledProfitDie,
+    lossDie,
+    profitFormula: hasRollFormulas ? formatVentureFormula(profitFormula) : "",
+    lossFormula: hasRollFormulas ? formatVentureFormula(lossFormula) : "",
+    managementCheck,
+    ventureEvent: ventureEvent
+      ? { tableName: ventureEvent.tableName, texts: ventureEvent.texts }
+      : null,
+    staffWages: staffEffects.wages,
+    fixedCosts: fixedCosts.total,
+    taxRate,
+    tax,
+    rawProfitRollTotal,
+    profitRollBonus,
+    profitRollTotal,
+    lossRollTotal: Number(lossRoll.total),
+    gpPerPoint,
+    income,
+    outgoings,
+    net,
+    treasury: state.treasury,
+    streak: state.streak,
+    previousProfitDie: stateBefore.currentProfitDie,
+    nextProfitDie: state.currentProfitDie,
+    grew,
+    degraded,
+    naturalOneDegraded,
+    failed,
+    coverage: {
+      deficit,
+      treasuryCovered,
+      characterCovered,
+      uncoveredDeficit,
+      autoCovered,
+      manualCovered,
+      promptDeclined,
+      promptTimedOut,
+      decider: promptUserName ?? "",
+      partners: partnerPayments
+    },
+    vault,
+    milestones: reachedMilestones.map(milestone => milestone.name),
+    modifiers: modifierEffects.map(effect => ({
+      name: effect.name,
+      summary: effect.summary
+    })),
+    boons: []
+  }, getHistoryLimit());
 
-  return {
+  const result = {
     facilityId: facility.id,
     facilityUuid: facility.uuid,
     facilityName: facility.name,
     ventureName: config.ventureName || facility.name,
+    tags: config.tags,
+    cardVisibility: getCardVisibility(config),
     previousProfitDie: stateBefore.currentProfitDie,
     profitDie: rolledProfitDie,
     nextProfitDie: state.currentProfitDie,
     profitDieChangeClass: grew ? "is-increase" : (degraded ? "is-decrease" : ""),
     lossDie,
+    hasRollFormulas,
+    profitFormula: formatVentureFormula(profitFormula),
+    lossFormula: formatVentureFormula(lossFormula),
+    managementCheck: managementCheck
+      ? {
+        ...managementCheck,
+        total: managementCheck.rolled ? managementCheck.total : "-",
+        effectText: formatManagementCheckEffect(managementCheck)
+      }
+      : null,
+    partnerShareText: buildPartnerShareText(actor, config),
+    partnerPaymentText: formatPartnerPayments(partnerPayments),
+    vaultCapacity,
+    vaultText: buildVaultText(vault),
+    milestoneText: reachedMilestones.map(milestone => milestone.name).join(", "),
+    staff: staffEffects.count
+      ? {
+        ...staffEffects,
+        effectText: formatStaffEffect(staffEffects)
+      }
+      : null,
+    ventureEvent: ventureEvent
+      ? {
+        ...ventureEvent,
+        text: ventureEvent.texts.join(" ") || "-",
+        effectText: formatVentureEventEffect(ventureEvent, eventRewards)
+      }
+      : null,
     rawProfitRollTotal,
     profitRollBonus,
     profitRollTotal,
@@ -1841,7 +2777,11 @@ async function processSingleVenture(facility, actor, wallet, turnId, modifierDur
     gpPerPoint,
     income,
     outgoings,
+    fixedCosts,
+    taxRate,
+    tax,
     net,
+    netBreakdownTooltip,
     netClass: net > 0 ? "is-positive" : (net < 0 ? "is-negative" : "is-neutral"),
     deficit,
     coveredDeficit,
@@ -1869,25 +2809,60 @@ async function processSingleVenture(facility, actor, wallet, turnId, modifierDur
     modifierOutcome,
     modifierEffects
   };
+
+  // The result, wallets and duration usage ride along with the facility update, so a reload between writes can finish this venture.
+  state.turnCommit = turnContext.buildTurnCommit?.(result) ?? null;
+  if (state.turnCommit) {
+    state.turnCommit.pendingMilestones = reachedMilestones.map(milestone => ({
+      id: milestone.id,
+      name: milestone.name,
+      rewardUuid: milestone.rewardUuid,
+      goal: describeMilestoneGoal(milestone),
+      announce: milestone.announce
+    }));
+  }
+  await updateFacilityVenture(facility, config, state);
+  await grantPendingMilestones(facility, actor, createdDocuments);
+  return result;
+}
+
+// Milestone rewards stay pending on the turn commit until granted, so a reload after the facility update still hands them out.
+async function grantPendingMilestones(facility, actor, createdDocuments) {
+  const config = getFacilityConfig(facility);
+  const state = getFacilityState(facility, config);
+  const pending = state.turnCommit?.pendingMilestones ?? [];
+  if (!pending.length) return;
+  const milestoneRewards = await applyMilestoneRewards(pending, facility, actor, createdDocuments);
+  const announced = pending
+    .filter(milestone => milestone.announce)
+    .map(milestone => ({ ...milestone, rewardName: milestoneRewards.get(milestone.id) ?? "" }));
+  if (announced.length) await postMilestoneAnnouncement(actor, facility, config, state, announced);
+  state.turnCommit.pendingMilestones = [];
+  await updateFacilityVenture(facility, config, state);
 }
 
-async function postVentureSummary(actor, results, sourceMessage) {
+async function postVentureSummary(actor, results, turnId, snapshot = null) {
   const renderTemplate = getRenderTemplate();
   const content = await renderTemplate(TEMPLATE_PATHS.chatSummary, {
     actor,
     results,
+    canRevert: Boolean(snapshot),
+    reverted: false,
     moduleId: MODULE_ID
   });
 
+  const whisper = buildSummaryWhisper(actor, results);
   return ChatMessage.implementation.create({
     content,
     speaker: getSpeaker(actor),
+    ...(whisper ? { whisper } : {}),
     flags: {
       [MODULE_ID]: {
         type: "ventureSummary",
         actorUuid: actor.uuid,
-        sourceMessageUuid: sourceMessage.uuid,
-        results
+        sourceMessageUuid: turnId,
+        results,
+        turnSnapshot: snapshot
       }
     }
   });
@@ -1918,7 +2893,7 @@ export async function processActorVenturesFromBastionMessage(message) {
   if (!bastionData || !Array.isArray(bastionData.orders)) return;
 
   const actor = message.getAssociatedActor?.() ?? game.actors.get(message.speaker?.actor);
-  if (!actor || actor.type !== "character") return;
+  if (!isVentureOwnerActor(actor)) return;
 
   const dedupKey = buildBastionDedupKey(message, bastionData);
   if (dedupKey) {
@@ -1935,55 +2910,606 @@ export async function processActorVenturesFromBastionMessage(message) {
     processedActorTurnKeys.add(actorTurnKey);
   }
 
+  if (getTurnJournalEntry(buildTurnJournalKey(actor.uuid, message.uuid))) {
+    moduleLog("Bastion venture processing skipped (interrupted turn awaiting resume)", {
+      actor: actor.name,
+      incomingMessage: messageKey
+    });
+    return;
+  }
+
   processedBastionMessages.add(messageKey);
 
-  const wallet = {
-    ...createCoverageWallet(actor)
-  };
+  const worldTurnKey = dedupKey || `time:${game.time.worldTime}`;
+  if (game.settings.get(MODULE_ID, SETTINGS.batchBastionTurns)) {
+    queueBastionBatchEntry(actor, message, worldTurnKey);
+    return;
+  }
 
-  const facilities = actor.itemTypes?.facility ?? [];
-  moduleLog("Bastion venture processing start", {
-    actor: actor.name,
-    actorUuid: actor.uuid,
+  await beginWorldBastionTurn(worldTurnKey, actor.uuid);
+  await processBastionMessageTurn(actor, message, worldTurnKey);
+}
+
+async function processBastionMessageTurn(actor, message, worldTurnKey) {
+  const { results, snapshot, journalKey } = await runActorVentureTurn(actor, {
+    facilities: actor.itemTypes?.facility ?? [],
     turnId: message.uuid,
-    facilities: facilities.length
+    tickBastionDurations: true,
+    sourceMessageUuid: message.uuid,
+    worldTurnKey
   });
-  const results = [];
-  const turnId = message.uuid;
-  const modifierDurationUsage = new Map();
-  const bastionDurationEffects = collectActiveBastionDurationEffects(actor);
-  queueModifierDurationUsage(modifierDurationUsage, bastionDurationEffects);
-  for (const facility of facilities) {
-    const result = await processSingleVenture(facility, actor, wallet, turnId, modifierDurationUsage);
-    if (result) results.push(result);
+
+  await message.setFlag(MODULE_ID, "processed", true);
+  if (results.length && game.settings.get(MODULE_ID, SETTINGS.postChatSummary)) {
+    await postVentureSummary(actor, results, message.uuid, snapshot);
   }
+  await clearTurnJournalEntry(journalKey);
+}
+
+function queueBastionBatchEntry(actor, message, worldTurnKey) {
+  pendingBastionBatch.entries.push({ actor, message, worldTurnKey });
+  if (pendingBastionBatch.timeout) clearTimeout(pendingBastionBatch.timeout);
+  pendingBastionBatch.timeout = setTimeout(() => {
+    pendingBastionBatch.timeout = null;
+    const entries = pendingBastionBatch.entries.splice(0);
+    processBastionBatch(entries).catch(error => console.error(`${MODULE_ID} | Bastion economy batch failed`, error));
+  }, BASTION_BATCH_COLLECT_MS);
+}
 
+// Actors linked through venture partnerships share wallets, so each linked cluster runs in order.
+function groupBatchEntriesByPartnership(entries) {
+  const clusterOf = new Map(entries.map(entry => [entry.actor.uuid, entry.actor.uuid]));
+  const find = uuid => {
+    let root = uuid;
+    while (clusterOf.get(root) !== root) root = clusterOf.get(root);
+    return root;
+  };
+  for (const { actor } of entries) {
+    for (const facility of actor.itemTypes?.facility ?? []) {
+      for (const partner of getFacilityConfig(facility).partners) {
+        if (!clusterOf.has(partner.actorUuid)) continue;
+        clusterOf.set(find(partner.actorUuid), find(actor.uuid));
+      }
+    }
+  }
+  const groups = new Map();
+  for (const entry of entries) {
+    const root = find(entry.actor.uuid);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  }
+  return [...groups.values()];
+}
+
+async function processBastionBatch(entries) {
+  if (!entries.length) return;
+  moduleLog("Bastion economy batch start", {
+    actors: entries.map(entry => entry.actor.name)
+  });
+  const sections = new Map();
+  const journalKeys = [];
+  const failedActors = [];
+  for (const { actor, worldTurnKey } of entries) await beginWorldBastionTurn(worldTurnKey, actor.uuid);
+  // A failing actor keeps its turn journal so it can be resumed after a reload; everyone else still gets reported.
+  await Promise.all(groupBatchEntriesByPartnership(entries).map(async group => {
+    for (const { actor, message, worldTurnKey } of group) {
+      let turn;
+      try {
+        turn = await runActorVentureTurn(actor, {
+          facilities: actor.itemTypes?.facility ?? [],
+          turnId: message.uuid,
+          tickBastionDurations: true,
+          sourceMessageUuid: message.uuid,
+          worldTurnKey
+        });
+      } catch (error) {
+        console.error(`${MODULE_ID} | Bastion economy turn failed for ${actor.name}`, error);
+        failedActors.push(actor.name);
+        continue;
+      }
+      const { results, snapshot, journalKey } = turn;
+      journalKeys.push(journalKey);
+      await message.setFlag(MODULE_ID, "processed", true);
+      if (!results.length) continue;
+      sections.set(actor.uuid, {
+        actorUuid: actor.uuid,
+        actorName: actor.name,
+        sourceMessageUuid: message.uuid,
+        results,
+        turnSnapshot: snapshot,
+        reverted: false
+      });
+    }
+  }));
+
+  // Keep the report in the order the bastion turn messages arrived. Private ventures get their own whispered card.
+  const ordered = [];
+  for (const { actor } of entries) {
+    const section = sections.get(actor.uuid);
+    if (!section || !game.settings.get(MODULE_ID, SETTINGS.postChatSummary)) continue;
+    if (buildSummaryWhisper(actor, section.results)) {
+      await postVentureSummary(actor, section.results, section.sourceMessageUuid, section.turnSnapshot);
+    } else {
+      ordered.push(section);
+    }
+  }
+  if (ordered.length) await postBastionEconomyReport(ordered);
+  for (const key of journalKeys) await clearTurnJournalEntry(key);
+  if (failedActors.length) {
+    ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.BatchActorsFailed", { actors: failedActors.join(", ") }));
+  }
+}
+
+async function postBastionEconomyReport(sections) {
+  const content = await renderBastionEconomyContent(sections);
+  return ChatMessage.implementation.create({
+    content,
+    flags: {
+      [MODULE_ID]: {
+        type: "bastionEconomy",
+        sections
+      }
+    }
+  });
+}
+
+function createTurnSnapshot(actor, facilities, turnId) {
+  return {
+    actorUuid: actor.uuid,
+    turnId,
+    createdAt: Date.now(),
+    facilities: facilities.map(facility => {
+      const config = getFacilityConfig(facility);
+      return {
+        uuid: facility.uuid,
+        config,
+        state: { ...getFacilityState(facility, config), turnCommit: null }
+      };
+    }),
+    currency: null,
+    partnerCurrency: [],
+    effects: [],
+    created: []
+  };
+}
+
+async function flushTurnWallets(actor, wallet, partnerWallets, journal) {
   if (wallet.dirty) {
     await actor.update(buildWalletUpdateData(wallet));
+    wallet.dirty = false;
+    journal.walletChanged = true;
+  }
+  for (const entry of partnerWallets.values()) {
+    if (!entry?.wallet.dirty) continue;
+    await entry.actor.update(buildWalletUpdateData(entry.wallet));
+    entry.wallet.dirty = false;
+    let record = journal.partnerCurrency.find(existing => existing.actorUuid === entry.actor.uuid);
+    if (!record) {
+      record = { actorUuid: entry.actor.uuid, before: entry.before };
+      journal.partnerCurrency.push(record);
+    }
+    record.after = foundry.utils.deepClone(entry.wallet.currency);
   }
+}
 
-  await decrementModifierDurations(modifierDurationUsage);
-  if (!results.length) {
-    await message.setFlag(MODULE_ID, "processed", true);
-    moduleLog("Bastion venture processing complete", {
-      actor: actor.name,
-      facilitiesProcessed: 0,
-      gpAfter: getWalletCurrency(wallet, "gp"),
-      bastionDurationsProcessed: bastionDurationEffects.length
-    });
-    return;
+// Coins are stored as absolute amounts, so restoring a commit is safe whether or not its wallet update already landed.
+function buildTurnCommit(turnId, wallet, partnerWallets, usage, result) {
+  return {
+    turnId,
+    wallet: wallet.dirty ? foundry.utils.deepClone(wallet.currency) : null,
+    partners: [...partnerWallets.values()]
+      .filter(entry => entry?.wallet.dirty)
+      .map(entry => ({
+        actorUuid: entry.actor.uuid,
+        before: entry.before,
+        currency: foundry.utils.deepClone(entry.wallet.currency)
+      })),
+    usage: [...usage.entries()],
+    result
+  };
+}
+
+async function restoreTurnCommit(commit, wallet, partnerWallets, usage) {
+  if (commit.wallet) {
+    wallet.currency = foundry.utils.deepClone(commit.wallet);
+    wallet.dirty = true;
+  }
+  for (const partner of commit.partners ?? []) {
+    const entry = await getPartnerWallet(partnerWallets, partner.actorUuid);
+    if (!entry) continue;
+    entry.before = partner.before;
+    entry.wallet.currency = foundry.utils.deepClone(partner.currency);
+    entry.wallet.dirty = true;
+  }
+  for (const [key, tracked] of commit.usage ?? []) usage.set(key, tracked);
+  return commit.result ?? null;
+}
+
+function createTurnJournal(actor, facilities, { turnId, tickBastionDurations, sourceMessageUuid, worldTurnKey }) {
+  const bastionDurationEffects = tickBastionDurations ? collectActiveBastionDurationEffects(actor) : [];
+  const usage = new Map();
+  queueModifierDurationUsage(usage, bastionDurationEffects);
+  return {
+    key: buildTurnJournalKey(actor.uuid, turnId),
+    actorUuid: actor.uuid,
+    actorName: actor.name,
+    turnId,
+    sourceMessageUuid,
+    worldTurnKey,
+    tickBastionDurations,
+    startedAt: Date.now(),
+    facilityUuids: facilities.map(facility => facility.uuid),
+    walletBefore: foundry.utils.deepClone(createCoverageWallet(actor).currency),
+    walletChanged: false,
+    partnerCurrency: [],
+    snapshot: createTurnSnapshot(actor, facilities, turnId),
+    completed: [],
+    usage: [...usage.entries()],
+    created: [],
+    bastionDurationsProcessed: bastionDurationEffects.length,
+    resolved: null
+  };
+}
+
+// Every resolved facility is written to the turn journal, so a reload resumes after the last one instead of rerunning the turn.
+async function runActorVentureTurn(actor, { facilities, turnId, tickBastionDurations = true, sourceMessageUuid = "", worldTurnKey = "" }) {
+  const journalKey = buildTurnJournalKey(actor.uuid, turnId);
+  let journal = getTurnJournalEntry(journalKey);
+  if (journal?.resolved) return { ...journal.resolved, journalKey };
+  const resuming = Boolean(journal);
+  if (!journal) {
+    journal = createTurnJournal(actor, facilities, { turnId, tickBastionDurations, sourceMessageUuid, worldTurnKey });
+    await saveTurnJournalEntry(journal);
   }
+
+  moduleLog(resuming ? "Bastion venture processing resumed" : "Bastion venture processing start", {
+    actor: actor.name,
+    actorUuid: actor.uuid,
+    turnId,
+    facilities: facilities.length,
+    alreadyResolved: journal.completed.length
+  });
+  const wallet = createCoverageWallet(actor);
+  const modifierDurationUsage = new Map(journal.usage);
+  const turnContext = {
+    createdDocuments: journal.created,
+    partnerWallets: new Map(),
+    worldTurnKey: journal.worldTurnKey ?? "",
+    buildTurnCommit: result => buildTurnCommit(turnId, wallet, turnContext.partnerWallets, modifierDurationUsage, result)
+  };
+  const completedUuids = new Set(journal.completed.map(entry => entry.facilityUuid));
+  for (const facility of facilities) {
+    if (completedUuids.has(facility.uuid)) continue;
+    const savedState = resuming ? getFacilityState(facility) : null;
+    // Saved before the journal caught up: the facility update carries the wallets, usage and result of this turn.
+    let result = null;
+    if (savedState?.turnId !== turnId) {
+      result = await processSingleVenture(facility, actor, wallet, turnId, modifierDurationUsage, turnContext);
+    } else if (savedState.turnCommit?.turnId === turnId) {
+      result = await restoreTurnCommit(savedState.turnCommit, wallet, turnContext.partnerWallets, modifierDurationUsage);
+      await grantPendingMilestones(facility, actor, turnContext.createdDocuments);
+    }
+    await flushTurnWallets(actor, wallet, turnContext.partnerWallets, journal);
+    journal.completed.push({ facilityUuid: facility.uuid, result });
+    journal.usage = [...modifierDurationUsage.entries()];
+    journal.created = turnContext.createdDocuments;
+    await saveTurnJournalEntry(journal);
+  }
+
+  const results = journal.completed.map(entry => entry.result).filter(Boolean);
+  const snapshot = journal.snapshot;
+  if (journal.walletChanged) {
+    snapshot.currency = {
+      before: journal.walletBefore,
+      after: foundry.utils.deepClone(wallet.currency)
+    };
+  }
+  snapshot.partnerCurrency = journal.partnerCurrency;
+  snapshot.effects = await decrementModifierDurations(modifierDurationUsage);
+  snapshot.created = turnContext.createdDocuments;
+  const processedUuids = new Set(results.map(result => result.facilityUuid));
+  snapshot.facilities = snapshot.facilities.filter(entry => processedUuids.has(entry.uuid));
+  journal.resolved = { results, snapshot };
+  await saveTurnJournalEntry(journal);
   moduleLog("Bastion venture processing complete", {
     actor: actor.name,
     facilitiesProcessed: results.length,
     gpAfter: getWalletCurrency(wallet, "gp"),
-    bastionDurationsProcessed: bastionDurationEffects.length
+    bastionDurationsProcessed: journal.bastionDurationsProcessed
   });
+  return { results, snapshot, journalKey };
+}
 
-  await message.setFlag(MODULE_ID, "processed", true);
-  if (game.settings.get(MODULE_ID, SETTINGS.postChatSummary)) {
-    await postVentureSummary(actor, results, message);
+function resolveActorFacilities(actor, facilities) {
+  const owned = actor.itemTypes?.facility ?? [];
+  if (!facilities) return owned;
+  const requested = (Array.isArray(facilities) ? facilities : [facilities])
+    .map(entry => String(entry?.id ?? entry ?? "").trim())
+    .filter(Boolean);
+  return owned.filter(facility => requested.some(key => (key === facility.id) || (key === facility.uuid)));
+}
+
+// Manual entry point for downtime outside the dnd5e bastion cadence. Venture modifier durations tick for every advanced facility;
+// actor bastion durations only tick when every facility advances (no facility or tag filter) unless tickBastionDurations says otherwise.
+export async function processVentureTurn(actor, { facilities = null, tags = null, turnId = "", tickBastionDurations = null } = {}) {
+  if (!game.user.isGM) {
+    ui.notifications.warn("INDYVENTURES.Errors.ManualTurnGMOnly", { localize: true });
+    return null;
+  }
+  if (!isVentureOwnerActor(actor)) return null;
+
+  const tagFilter = parseVentureTags(tags);
+  const targets = resolveActorFacilities(actor, facilities);
+  const eligible = targets.filter(facility => {
+    const config = getFacilityConfig(facility);
+    if (!matchesVentureTags(config.tags, tagFilter)) return false;
+    return isFacilityEligibleForVenture(facility, config, getFacilityState(facility, config));
+  });
+  if (!eligible.length) {
+    ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.NoEligibleVentures", { actor: actor.name }));
+    return null;
+  }
+
+  const manualTurnId = String(turnId ?? "").trim() || `manual.${foundry.utils.randomID()}`;
+  const actorTurnKey = `${actor.uuid}::${manualTurnId}`;
+  if (processedActorTurnKeys.has(actorTurnKey)) {
+    moduleLog("Manual venture turn skipped (turn id already processed)", {
+      actor: actor.name,
+      turnId: manualTurnId
+    });
+    return null;
+  }
+  processedActorTurnKeys.add(actorTurnKey);
+
+  const { results, snapshot, journalKey } = await runActorVentureTurn(actor, {
+    facilities: eligible,
+    turnId: manualTurnId,
+    tickBastionDurations: (tickBastionDurations === null) ? (!facilities && !tagFilter.length) : Boolean(tickBastionDurations)
+  });
+
+  let message = null;
+  if (results.length && game.settings.get(MODULE_ID, SETTINGS.postChatSummary)) {
+    message = await postVentureSummary(actor, results, manualTurnId, snapshot);
   }
+  await clearTurnJournalEntry(journalKey);
+  return { turnId: manualTurnId, results, message };
+}
+
+function escapeHtmlAttribute(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+async function promptInterruptedTurns(entries) {
+  const title = game.i18n.localize("INDYVENTURES.Journal.Title");
+  const rows = entries.map(entry => `<li>${game.i18n.format("INDYVENTURES.Journal.Entry", {
+    actor: escapeHtmlAttribute(entry.actorName),
+    resolved: entry.completed.length,
+    total: entry.facilityUuids.length,
+    date: new Date(Number(entry.startedAt) || 0).toLocaleString(game.i18n.lang)
+  })}</li>`).join("");
+  const content = `<p>${game.i18n.localize("INDYVENTURES.Journal.Intro")}</p><ul>${rows}</ul>`;
+  const resumeLabel = game.i18n.localize("INDYVENTURES.Journal.Resume");
+  const discardLabel = game.i18n.localize("INDYVENTURES.Journal.Discard");
+
+  if (foundry.applications?.api?.DialogV2?.wait) {
+    const result = await foundry.applications.api.DialogV2.wait({
+      window: { title },
+      content,
+      rejectClose: false,
+      buttons: [
+        { action: "resume", label: resumeLabel, default: true, callback: () => "resume" },
+        { action: "discard", label: discardLabel, callback: () => "discard" }
+      ]
+    });
+    return result ?? null;
+  }
+
+  return new Promise(resolve => {
+    new Dialog({
+      title,
+      content,
+      buttons: {
+        resume: { label: resumeLabel, callback: () => resolve("resume") },
+        discard: { label: discardLabel, callback: () => resolve("discard") }
+      },
+      default: "resume",
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
+
+async function resumeInterruptedTurn(entry) {
+  const actor = await fromUuid(entry.actorUuid).catch(() => null);
+  if (!isVentureOwnerActor(actor)) {
+    moduleLog("Interrupted venture turn discarded (actor missing)", { actorUuid: entry.actorUuid, turnId: entry.turnId });
+    await clearTurnJournalEntry(entry.key);
+    return;
+  }
+  const facilities = [];
+  for (const uuid of entry.facilityUuids) {
+    const facility = await fromUuid(uuid).catch(() => null);
+    if (facility?.parent === actor) facilities.push(facility);
+  }
+  processedActorTurnKeys.add(`${actor.uuid}::${entry.turnId}`);
+  const { results, snapshot, journalKey } = await runActorVentureTurn(actor, {
+    facilities,
+    turnId: entry.turnId,
+    tickBastionDurations: entry.tickBastionDurations,
+    sourceMessageUuid: entry.sourceMessageUuid
+  });
+  const sourceMessage = entry.sourceMessageUuid ? await fromUuid(entry.sourceMessageUuid).catch(() => null) : null;
+  if (sourceMessage) {
+    processedBastionMessages.add(sourceMessage.uuid);
+    await sourceMessage.setFlag(MODULE_ID, "processed", true);
+  }
+  if (results.length && game.settings.get(MODULE_ID, SETTINGS.postChatSummary)) {
+    await postVentureSummary(actor, results, entry.turnId, snapshot);
+  }
+  await clearTurnJournalEntry(journalKey);
+}
+
+async function discardInterruptedTurn(entry) {
+  const sourceMessage = entry.sourceMessageUuid ? await fromUuid(entry.sourceMessageUuid).catch(() => null) : null;
+  if (sourceMessage) {
+    processedBastionMessages.add(sourceMessage.uuid);
+    await sourceMessage.setFlag(MODULE_ID, "processed", true);
+  }
+  await clearTurnJournalEntry(entry.key);
+}
+
+// Turns that were cut short by a reload or crash stay in the journal until the GM resumes or discards them.
+export async function checkInterruptedVentureTurns() {
+  if (!game.user.isActiveGM) return;
+  const entries = getTurnJournalEntries().filter(entry => entry?.key && Array.isArray(entry.completed));
+  if (!entries.length) return;
+  moduleLog("Interrupted venture turns found", {
+    turns: entries.map(entry => ({ actor: entry.actorName, turnId: entry.turnId, resolved: entry.completed.length }))
+  });
+
+  const choice = await promptInterruptedTurns(entries);
+  if (choice === "resume") {
+    for (const entry of entries) {
+      try {
+        await resumeInterruptedTurn(entry);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Failed to resume venture turn ${entry.key}`, error);
+      }
+    }
+    ui.notifications.info(game.i18n.format("INDYVENTURES.Notifications.TurnsResumed", { count: entries.length }));
+  } else if (choice === "discard") {
+    for (const entry of entries) await discardInterruptedTurn(entry);
+    ui.notifications.info(game.i18n.format("INDYVENTURES.Notifications.TurnsDiscarded", { count: entries.length }));
+  }
+}
+
+export async function relaunchVenture(facility, { startingDie = null, keepHistory = true } = {}) {
+  if ((facility?.documentName !== "Item") || (facility.type !== "facility")) return null;
+  const actor = facility.actor;
+  if (!actor || !(game.user.isGM || actor.isOwner)) {
+    ui.notifications.warn("INDYVENTURES.Errors.NotOwner", { localize: true });
+    return null;
+  }
+  return runWithTreasuryLocks([facility.uuid], () => applyVentureRelaunch(facility, actor, { startingDie, keepHistory }));
+}
+
+async function applyVentureRelaunch(facility, actor, { startingDie, keepHistory }) {
+  const config = getFacilityConfig(facility);
+  const state = getFacilityState(facility, config);
+  if (!state.failed) {
+    ui.notifications.warn("INDYVENTURES.Errors.RelaunchNotFailed", { localize: true });
+    return null;
+  }
+
+  const ladder = getDieLadder(config);
+  const previousTreasury = state.treasury;
+  const cost = config.relaunchCost;
+  const treasuryPaid = Math.min(state.treasury, cost);
+  const actorPaid = roundGp(cost - treasuryPaid);
+  const wallet = createCoverageWallet(actor);
+  if ((actorPaid > 0) && !spendFromInventory(wallet, actorPaid)) {
+    ui.notifications.warn(game.i18n.format("INDYVENTURES.Errors.RelaunchInsufficientFunds", {
+      actor: actor.name,
+      cost,
+      treasury: treasuryPaid
+    }));
+    return null;
+  }
+  if (wallet.dirty) await actor.update(buildWalletUpdateData(wallet));
+
+  state.currentProfitDie = applyMaximumDie(
+    normalizeDie(startingDie ?? config.startingProfitDie, config.startingProfitDie, ladder),
+    config.maxProfitDie,
+    ladder
+  );
+  setTreasury(state, state.treasury - treasuryPaid);
+  state.streak = 0;
+  state.profitStreak = 0;
+  state.failed = false;
+  state.lastTurnNet = 0;
+  state.boonPurchases = {};
+  if (!keepHistory) state.history = [];
+  config.enabled = true;
+  await updateFacilityVenture(facility, config, state);
+
+  const relaunch = {
+    ventureName: config.ventureName || facility.name,
+    facilityName: facility.name,
+    startingDie: state.currentProfitDie,
+    cost,
+    treasuryPaid,
+    actorPaid,
+    previousTreasury,
+    keepHistory: Boolean(keepHistory)
+  };
+  moduleLog("Venture relaunched", { actor: actor.name, facility: facility.name, relaunch });
+
+  const content = await getRenderTemplate()(TEMPLATE_PATHS.chatRelaunch, { actor, relaunch });
+  const message = await ChatMessage.implementation.create({
+    content,
+    speaker: getSpeaker(actor),
+    flags: {
+      [MODULE_ID]: {
+        type: "ventureRelaunch",
+        actorUuid: actor.uuid,
+        facilityUuid: facility.uuid,
+        relaunch
+      }
+    }
+  });
+  return { relaunch, message };
+}
+
+// dnd5e enlarges a facility by changing its size; size-driven ventures move onto the new dice straight away.
+export async function applyFacilitySizeChange(facility, previousSize) {
+  const size = facility?.system?.size;
+  if ((facility?.type !== "facility") || !size || (size === previousSize)) return null;
+  const config = getFacilityConfig(facility);
+  if (!config.enabled || !config.sizeDice || !getFacilitySizeDice(facility)) return null;
+  const state = getFacilityState(facility, config);
+  const ladder = getDieLadder(config);
+  const previousDie = state.currentProfitDie;
+  if (!state.failed) {
+    state.currentProfitDie = applyMaximumDie(
+      applyMinimumDie(previousDie, config.startingProfitDie, ladder),
+      config.maxProfitDie,
+      ladder
+    );
+  }
+  if (state.currentProfitDie !== previousDie) await updateFacilityVenture(facility, config, state);
+
+  const actor = facility.actor;
+  const sizeChange = {
+    ventureName: config.ventureName || facility.name,
+    previousSize: getFacilitySizeLabel(previousSize),
+    size: getFacilitySizeLabel(size),
+    startingDie: config.startingProfitDie,
+    maxDie: config.maxProfitDie || "-",
+    previousDie,
+    currentDie: state.currentProfitDie,
+    dieChanged: state.currentProfitDie !== previousDie,
+    vaultCapacity: (config.vaultMode === "size") ? getVentureVaultCapacity(facility) : null
+  };
+  moduleLog("Venture facility size changed", { actor: actor?.name ?? null, facility: facility.name, sizeChange });
+
+  const content = await getRenderTemplate()(TEMPLATE_PATHS.chatFacilitySize, { sizeChange });
+  const message = await ChatMessage.implementation.create({
+    content,
+    speaker: getSpeaker(actor),
+    whisper: buildSummaryWhisper(actor, [{ cardVisibility: getCardVisibility(config) }]),
+    flags: {
+      [MODULE_ID]: {
+        type: "ventureFacilitySize",
+        actorUuid: actor?.uuid ?? "",
+        facilityUuid: facility.uuid,
+        sizeChange
+      }
+    }
+  });
+  return { sizeChange, message };
 }
 
 let socketRegistered = false;
@@ -2018,6 +3544,37 @@ async function onCoveragePrompt(payload) {
   });
 }
 
+async function onCheckPrompt(payload) {
+  if (payload.targetUserId !== game.user.id) return;
+
+  let total = null;
+  try {
+    const manager = await fromUuid(payload.managerUuid);
+    if (manager?.documentName === "Actor") {
+      total = await rollManagementCheckLocally({
+        manager,
+        checkType: payload.checkType,
+        key: payload.key,
+        dc: payload.dc
+      });
+    }
+  } catch (error) {
+    moduleLog("Check prompt: delegated management check failed", {
+      user: game.user.name,
+      managerUuid: payload.managerUuid,
+      error: String(error?.message ?? error)
+    });
+  }
+
+  emitSocket({
+    type: "rollResponse",
+    gmUserId: payload.gmUserId,
+    requestId: payload.requestId,
+    userId: game.user.id,
+    total
+  });
+}
+
 async function onRollPrompt(payload) {
   if (payload.targetUserId !== game.user.id) return;
 
@@ -2034,15 +3591,18 @@ async function onRollPrompt(payload) {
   }
 
   let total = null;
+  let dieTotal = null;
   try {
     const roll = await requestLocalUserRoll({
       formula: payload.formula,
       actor,
       facilityName: payload.facilityName,
-      rollLabel: payload.rollLabel
+      rollLabel: payload.rollLabel,
+      rollMode: ROLL_MODES.includes(payload.rollMode) ? payload.rollMode : ""
     });
     const parsed = Number(roll?.total);
     total = Number.isFinite(parsed) ? parsed : null;
+    dieTotal = roll ? getVentureDieTotal(roll) : null;
   } catch (error) {
     moduleLog("Roll prompt: delegated roll failed", {
       user: game.user.name,
@@ -2057,7 +3617,8 @@ async function onRollPrompt(payload) {
     gmUserId: payload.gmUserId,
     requestId: payload.requestId,
     userId: game.user.id,
-    total
+    total,
+    dieTotal
   });
 }
 
@@ -2083,6 +3644,7 @@ function onRollResponse(payload) {
   clearTimeout(pending.timeout);
   pending.resolve({
     total: payload.total,
+    dieTotal: payload.dieTotal,
     userId: payload.userId,
     timedOut: false
   });
@@ -2097,6 +3659,9 @@ export function registerCoveragePromptSocket() {
     if (payload.type === "coveragePrompt") await onCoveragePrompt(payload);
     else if (payload.type === "coverageResponse") onCoverageResponse(payload);
     else if (payload.type === "rollPrompt") await onRollPrompt(payload);
+    else if (payload.type === "checkPrompt") await onCheckPrompt(payload);
     else if (payload.type === "rollResponse") onRollResponse(payload);
+    else if (payload.type === "treasuryRequest") await onTreasuryRequest(payload);
+    else if (payload.type === "treasuryResult") onTreasuryResult(payload);
   });
 }
@@ -0,0 +1,185 @@
+import { TEMPLATE_PATHS } from "./constants.js";
+import { getFacilityConfig, getFacilityState } from "./config.js";
+import { roundGp } from "./utils.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+function formatSigned(value) {
+  const amount = Number(value) || 0;
+  return `${amount > 0 ? "+" : ""}${amount}`;
+}
+
+function formatHistoryTimestamp(timestamp) {
+  const value = Number(timestamp) || 0;
+  if (!value) return "-";
+  return new Date(value).toLocaleString(game.i18n.lang);
+}
+
+function buildCoverageText(coverage = {}) {
+  const deficit = Math.max(Number(coverage.deficit) || 0, 0);
+  if (!deficit) return "-";
+  const parts = [game.i18n.format("INDYVENTURES.History.CoverageSources", {
+    treasury: Math.max(Number(coverage.treasuryCovered) || 0, 0),
+    character: Math.max(Number(coverage.characterCovered) || 0, 0)
+  })];
+  const uncovered = Math.max(Number(coverage.uncoveredDeficit) || 0, 0);
+  if (uncovered) parts.push(game.i18n.format("INDYVENTURES.History.CoverageUncovered", { uncovered }));
+  if (coverage.autoCovered) parts.push(game.i18n.localize("INDYVENTURES.History.CoverageAuto"));
+  else if (coverage.promptDeclined) parts.push(game.i18n.format("INDYVENTURES.History.CoverageDeclined", { decider: coverage.decider || "-" }));
+  else if (coverage.promptTimedOut) parts.push(game.i18n.format("INDYVENTURES.History.CoverageTimedOut", { decider: coverage.decider || "-" }));
+  return parts.join(" | ");
+}
+
+function buildDieChange(entry) {
+  if (entry.failed) {
+    return {
+      text: game.i18n.localize("INDYVENTURES.History.Failed"),
+      cssClass: "is-decrease"
+    };
+  }
+  if (entry.previousProfitDie && entry.nextProfitDie && (entry.previousProfitDie !== entry.nextProfitDie)) {
+    return {
+      text: `${entry.previousProfitDie} -> ${entry.nextProfitDie}`,
+      cssClass: entry.grew ? "is-increase" : "is-decrease"
+    };
+  }
+  return { text: entry.nextProfitDie || "-", cssClass: "" };
+}
+
+function prepareHistoryRows(history = [], { dieChangesOnly = false } = {}) {
+  return [...history]
+    .reverse()
+    .map(entry => {
+      const dieChange = buildDieChange(entry);
+      const profitBonus = Number(entry.profitRollBonus) || 0;
+      const profitText = profitBonus
+        ? `${entry.rawProfitRollTotal} ${formatSigned(profitBonus)} = ${entry.profitRollTotal}`
+        : String(entry.profitRollTotal ?? "-");
+      const modifiers = Array.isArray(entry.modifiers) ? entry.modifiers : [];
+      const boons = Array.isArray(entry.boons) ? entry.boons : [];
+      return {
+        id: entry.id,
+        turnNumber: entry.turnNumber,
+        date: formatHistoryTimestamp(entry.timestamp),
+        rollText: game.i18n.format("INDYVENTURES.Chat.RollLine", {
+          profit: profitText,
+          profitDie: entry.profitDie ?? "-",
+          loss: entry.lossRollTotal ?? "-",
+          lossDie: entry.lossDie ?? "-"
+        }),
+        formulaText: (entry.profitFormula || entry.lossFormula)
+          ? game.i18n.format("INDYVENTURES.Chat.RollFormulas", {
+            profit: entry.profitFormula || "-",
+            loss: entry.lossFormula || "-"
+          })
+          : "",
+        eventText: entry.ventureEvent
+          ? game.i18n.format("INDYVENTURES.Chat.EventLine", {
+            table: entry.ventureEvent.tableName,
+            text: (entry.ventureEvent.texts ?? []).join(" ") || "-"
+          })
+          : "",
+        modifierText: modifiers.map(modifier => modifier.name).filter(Boolean).join(", ") || "-",
+        modifierTooltip: modifiers
+          .map(modifier => (modifier.summary ? `${modifier.name}: ${modifier.summary}` : modifier.name))
+          .filter(Boolean)
+          .join("\n"),
+        net: Number(entry.net) || 0,
+        netText: formatSigned(entry.net),
+        netClass: entry.net > 0 ? "is-positive" : (entry.net < 0 ? "is-negative" : "is-neutral"),
+        treasury: Number(entry.treasury) || 0,
+        coverageText: buildCoverageText(entry.coverage),
+        dieChangeText: dieChange.text,
+        dieChangeClass: dieChange.cssClass,
+        hasDieChange: Boolean(dieChange.cssClass),
+        boonText: boons
+          .map(boon => `${boon.name} (${boon.cost} gp)`)
+          .join(", ") || "-"
+      };
+    })
+    .filter(row => !dieChangesOnly || row.hasDieChange);
+}
+
+class VentureHistoryApplication extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    actions: {
+      toggleDieChangesOnly: VentureHistoryApplication.#onToggleDieChangesOnly
+    },
+    classes: ["dnd5e2", "indy-ventures", "indy-venture-history-app"],
+    position: {
+      width: 960,
+      height: 560
+    },
+    tag: "section",
+    window: {
+      title: "INDYVENTURES.History.Title",
+      resizable: true
+    }
+  };
+
+  static PARTS = {
+    content: {
+      template: TEMPLATE_PATHS.ventureHistory,
+      scrollable: [".indy-venture-history-scroll"]
+    }
+  };
+
+  #facility;
+  #dieChangesOnly = false;
+  #updateHookId = null;
+
+  constructor({ facility }) {
+    super();
+    this.#facility = facility;
+  }
+
+  get title() {
+    const config = getFacilityConfig(this.#facility);
+    return game.i18n.format("INDYVENTURES.History.Title", {
+      venture: config.ventureName || this.#facility.name
+    });
+  }
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const config = getFacilityConfig(this.#facility);
+    const state = getFacilityState(this.#facility, config);
+    const history = state.history ?? [];
+    const rows = prepareHistoryRows(history, { dieChangesOnly: this.#dieChangesOnly });
+    const totalNet = roundGp(history.reduce((total, entry) => total + (Number(entry.net) || 0), 0));
+    return {
+      ...context,
+      ventureName: config.ventureName || this.#facility.name,
+      rows,
+      turnCount: history.length,
+      totalNet: formatSigned(totalNet),
+      currentProfitDie: state.currentProfitDie,
+      dieChangesOnly: this.#dieChangesOnly
+    };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this.#updateHookId = Hooks.on("updateItem", item => {
+      if (item?.uuid === this.#facility?.uuid) this.render();
+    });
+  }
+
+  _onClose(options = {}) {
+    super._onClose(options);
+    if (this.#updateHookId !== null) Hooks.off("updateItem", this.#updateHookId);
+    this.#updateHookId = null;
+  }
+
+  static #onToggleDieChangesOnly(event, target) {
+    this.#dieChangesOnly = Boolean(target?.checked);
+    this.render();
+  }
+}
+
+export function openVentureHistory(facility) {
+  if (facility?.documentName !== "Item" || facility.type !== "facility") return null;
+  const app = new VentureHistoryApplication({ facility });
+  app.render({ force: true });
+  return app;
+}
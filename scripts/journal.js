@@ -0,0 +1,38 @@
+import { MODULE_ID, SETTINGS } from "./constants.js";
+
+let journalWrite = Promise.resolve();
+
+function readTurnJournal() {
+  const raw = game.settings.get(MODULE_ID, SETTINGS.turnJournal);
+  return Array.isArray(raw) ? foundry.utils.deepClone(raw) : [];
+}
+
+// Writes are chained so parallel actor turns cannot overwrite each other's journal entries.
+function writeTurnJournal(mutate) {
+  journalWrite = journalWrite.catch(() => {}).then(async () => {
+    const entries = mutate(readTurnJournal());
+    await game.settings.set(MODULE_ID, SETTINGS.turnJournal, entries);
+  });
+  return journalWrite;
+}
+
+export function buildTurnJournalKey(actorUuid, turnId) {
+  return `${actorUuid}::${turnId}`;
+}
+
+export function getTurnJournalEntries() {
+  return readTurnJournal();
+}
+
+export function getTurnJournalEntry(key) {
+  return readTurnJournal().find(entry => entry?.key === key) ?? null;
+}
+
+export function saveTurnJournalEntry(entry) {
+  const saved = foundry.utils.deepClone(entry);
+  return writeTurnJournal(entries => [...entries.filter(existing => existing?.key !== saved.key), saved]);
+}
+
+export function clearTurnJournalEntry(key) {
+  return writeTurnJournal(entries => entries.filter(entry => entry?.key !== key));
+}
@@ -1,6 +1,7 @@
 import { registerChatHooks } from "./chat.js";
+import { MODULE_ID } from "./constants.js";
 import { registerDaeIntegration } from "./dae.js";
-import { processActorVenturesFromBastionMessage, registerCoveragePromptSocket } from "./engine.js";
+import { checkInterruptedVentureTurns, processActorVenturesFromBastionMessage, registerCoveragePromptSocket } from "./engine.js";
 import { moduleWarn } from "./logger.js";
 import { registerSettings } from "./settings.js";
 import { registerFacilitySheetHooks, registerModuleApi, registerModuleTemplates } from "./sheet.js";
@@ -21,6 +22,7 @@ Hooks.once("ready", () => {
 
   registerCoveragePromptSocket();
   registerModuleApi();
+  checkInterruptedVentureTurns().catch(error => console.error(`${MODULE_ID} | Interrupted turn check failed`, error));
 });
 
 Hooks.on("createChatMessage", async message => {
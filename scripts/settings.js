@@ -1,4 +1,5 @@
-import { MODULE_ID, SETTINGS } from "./constants.js";
+import { CARD_VISIBILITIES, MODULE_ID, ROLL_MODES, ROLL_POLICIES, SETTINGS } from "./constants.js";
+import { WorldEconomyApplication } from "./world-economy.js";
 
 export function registerSettings() {
   game.settings.register(MODULE_ID, SETTINGS.integrateBastion, {
@@ -19,6 +20,15 @@ export function registerSettings() {
     default: true
   });
 
+  game.settings.register(MODULE_ID, SETTINGS.batchBastionTurns, {
+    name: "INDYVENTURES.Settings.BatchBastionTurns.Name",
+    hint: "INDYVENTURES.Settings.BatchBastionTurns.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   game.settings.register(MODULE_ID, SETTINGS.hideVentureHirelings, {
     name: "INDYVENTURES.Settings.HideVentureHirelings.Name",
     hint: "INDYVENTURES.Settings.HideVentureHirelings.Hint",
@@ -64,4 +74,98 @@ export function registerSettings() {
       step: 10
     }
   });
+
+  game.settings.register(MODULE_ID, SETTINGS.rollPolicy, {
+    name: "INDYVENTURES.Settings.RollPolicy.Name",
+    hint: "INDYVENTURES.Settings.RollPolicy.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "interactive",
+    choices: Object.fromEntries(ROLL_POLICIES.map(policy => [policy, `INDYVENTURES.RollPolicy.${policy}`]))
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.ventureRollMode, {
+    name: "INDYVENTURES.Settings.VentureRollMode.Name",
+    hint: "INDYVENTURES.Settings.VentureRollMode.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+    choices: {
+      "": "INDYVENTURES.RollMode.chat",
+      ...Object.fromEntries(ROLL_MODES.map(mode => [mode, `INDYVENTURES.RollMode.${mode}`]))
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.summaryVisibility, {
+    name: "INDYVENTURES.Settings.SummaryVisibility.Name",
+    hint: "INDYVENTURES.Settings.SummaryVisibility.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "public",
+    choices: Object.fromEntries(CARD_VISIBILITIES.map(visibility => [visibility, `INDYVENTURES.CardVisibility.${visibility}`]))
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.historyLimit, {
+    name: "INDYVENTURES.Settings.HistoryLimit.Name",
+    hint: "INDYVENTURES.Settings.HistoryLimit.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 100,
+    range: {
+      min: 10,
+      max: 500,
+      step: 10
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.taxRate, {
+    name: "INDYVENTURES.Settings.TaxRate.Name",
+    hint: "INDYVENTURES.Settings.TaxRate.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 0,
+    range: {
+      min: 0,
+      max: 100,
+      step: 1
+    }
+  });
+
+  game.settings.registerMenu(MODULE_ID, SETTINGS.worldEconomyMenu, {
+    name: "INDYVENTURES.Settings.WorldEconomy.Name",
+    label: "INDYVENTURES.Settings.WorldEconomy.Label",
+    hint: "INDYVENTURES.Settings.WorldEconomy.Hint",
+    icon: "fa-solid fa-scale-balanced",
+    type: WorldEconomyApplication,
+    restricted: true
+  });
+
+  // Global venture modifiers edited in the World Economy panel; see world-economy.js.
+  game.settings.register(MODULE_ID, SETTINGS.worldModifiers, {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  // Internal record of the last world bastion turn that ticked the world modifiers; see world-economy.js.
+  game.settings.register(MODULE_ID, SETTINGS.worldModifierTurn, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Internal record of in-flight venture turns; see journal.js.
+  game.settings.register(MODULE_ID, SETTINGS.turnJournal, {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: []
+  });
 }
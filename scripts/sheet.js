@@ -1,11 +1,35 @@
+import {
+  investInVenture,
+  openTreasuryTransfer,
+  openVentureInvestment,
+  revertVentureTurn,
+  transferTreasury
+} from "./chat.js";
 import { DICE_STEPS, MODULE_ID, SETTINGS, TEMPLATE_PATHS } from "./constants.js";
 import {
+  findVentures,
+  getFacilityConfig,
+  getFacilityState,
   prepareFacilitySheetContext,
   sanitizeConfigPatchForUpdate,
   sanitizeStatePatchForUpdate
 } from "./config.js";
-import { parseBoonsText, parseBoonPerTurnLimit, parseBoonPurchaseWhen, resolveRewardDocumentSync } from "./utils.js";
+import { applyFacilitySizeChange, getVentureVaultCapacity, processVentureTurn, relaunchVenture } from "./engine.js";
+import { openVentureHistory } from "./history.js";
+import { openVentureSimulator, simulateVenture } from "./simulator.js";
+import {
+  getDieLadder,
+  isVentureOwnerActor,
+  normalizeDieFormula,
+  parseBoonsText,
+  parseBoonPerTurnLimit,
+  parseBoonPurchaseWhen,
+  parseCurrencyAmount,
+  parseVentureTags,
+  resolveRewardDocumentSync
+} from "./utils.js";
 import { moduleLog } from "./logger.js";
+import { getWorldModifierEffects, getWorldModifiers, openWorldEconomy, setWorldModifiers } from "./world-economy.js";
 
 const BOON_TEXTAREA_SELECTOR = `textarea[name="flags.${MODULE_ID}.config.boonsText"]`;
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
@@ -70,7 +94,10 @@ function buildVentureModifierSummary(modifier, effect = null) {
   const scope = asBool(modifier.applyToAllVentures)
     ? game.i18n.localize("INDYVENTURES.EffectSummary.ScopeAll")
     : game.i18n.localize("INDYVENTURES.EffectSummary.ScopeThis");
-  lines.push(`${game.i18n.localize("INDYVENTURES.EffectSummary.Scope")}: ${scope}`);
+  const tags = parseVentureTags(modifier.tags);
+  lines.push(`${game.i18n.localize("INDYVENTURES.EffectSummary.Scope")}: ${tags.length
+    ? game.i18n.format("INDYVENTURES.EffectSummary.ScopeTags", { tags: tags.join(", ") })
+    : scope}`);
 
   const profitDieStep = asInt(modifier.profitDieStep, 0);
   if (profitDieStep) lines.push(`${game.i18n.localize("INDYVENTURES.EffectSummary.ProfitDieStep")}: ${profitDieStep > 0 ? "+" : ""}${profitDieStep}`);
@@ -88,6 +115,12 @@ function buildVentureModifierSummary(modifier, effect = null) {
 
   const profitRollBonus = asInt(modifier.profitRollBonus, 0);
   if (profitRollBonus) lines.push(`${game.i18n.localize("INDYVENTURES.EffectSummary.ProfitRollBonus")}: ${profitRollBonus > 0 ? "+" : ""}${profitRollBonus}`);
+  const taxRateOverride = String(modifier.taxRateOverride ?? "").trim();
+  if (taxRateOverride) lines.push(`${game.i18n.localize("INDYVENTURES.EffectSummary.TaxRateOverride")}: ${taxRateOverride}%`);
+  const vaultCapacityBonus = parseCurrencyAmount(modifier.vaultCapacityBonus, 0);
+  if (vaultCapacityBonus) {
+    lines.push(`${game.i18n.localize("INDYVENTURES.EffectSummary.VaultCapacityBonus")}: ${vaultCapacityBonus > 0 ? "+" : ""}${vaultCapacityBonus} gp`);
+  }
 
   const remainingTurnsRaw = modifier.remainingTurns;
   const hasRemainingTurns = (remainingTurnsRaw !== undefined) && (remainingTurnsRaw !== null) && (String(remainingTurnsRaw).trim() !== "");
@@ -224,13 +257,12 @@ function getBoonPurchaseWhenOptions() {
   ];
 }
 
-function getDieSelectOptions() {
-  return ["", ...DICE_STEPS];
+function getDieSelectOptions(ladder = DICE_STEPS) {
+  return ["", ...ladder];
 }
 
 function normalizeDieSelectValue(value) {
-  const die = String(value ?? "").trim().toLowerCase();
-  return DICE_STEPS.includes(die) ? die : "";
+  return normalizeDieFormula(value);
 }
 
 function asIntegerOr(value, fallback = 0) {
@@ -262,8 +294,8 @@ function escapeHtmlAttribute(value) {
     .replace(/>/g, "&gt;");
 }
 
-function buildModifierBuilderDialogContent(initialName) {
-  const dieOptions = getDieSelectOptions()
+function buildModifierBuilderDialogContent(initialName, ladder = DICE_STEPS) {
+  const dieOptions = getDieSelectOptions(ladder)
     .map(die => {
       const label = die || game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderNone");
       return `<option value="${die}">${label}</option>`;
@@ -287,6 +319,13 @@ function buildModifierBuilderDialogContent(initialName) {
             <label><input type="checkbox" name="applyToAllVentures" /> ${game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderScopeAll")}</label>
           </div>
         </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderTags")}</label>
+          <div class="form-fields">
+            <input type="text" name="tags" placeholder="${escapeHtmlAttribute(game.i18n.localize("INDYVENTURES.Sheet.TagsPlaceholder"))}" />
+          </div>
+          <p class="hint">${game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderTagsHint")}</p>
+        </div>
         <div class="form-group">
           <label>${game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderProfitDieStep")}</label>
           <div class="form-fields">
@@ -335,6 +374,18 @@ function buildModifierBuilderDialogContent(initialName) {
             <input type="number" name="profitRollBonus" step="1" value="0" />
           </div>
         </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderTaxRateOverride")}</label>
+          <div class="form-fields">
+            <input type="number" name="taxRateOverride" min="0" max="100" step="1" />
+          </div>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderVaultCapacityBonus")}</label>
+          <div class="form-fields">
+            <input type="number" name="vaultCapacityBonus" step="0.01" value="0" />
+          </div>
+        </div>
         <div class="form-group">
           <label>${game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderDurationMode")}</label>
           <div class="form-fields">
@@ -373,6 +424,7 @@ function readModifierBuilderDataFromForm(form) {
   return {
     name: String(data.get("name") ?? "").trim(),
     applyToAllVentures: data.get("applyToAllVentures") !== null,
+    tags: parseVentureTags(data.get("tags")),
     profitDieStep: asIntegerOr(data.get("profitDieStep"), 0),
     profitDieOverride: normalizeDieSelectValue(data.get("profitDieOverride")),
     minProfitDie: normalizeDieSelectValue(data.get("minProfitDie")),
@@ -381,6 +433,8 @@ function readModifierBuilderDataFromForm(form) {
     maxLossDie: normalizeDieSelectValue(data.get("maxLossDie")),
     successThresholdOverride: asPositiveIntegerOrNull(data.get("successThresholdOverride")),
     profitRollBonus: asIntegerOr(data.get("profitRollBonus"), 0),
+    taxRateOverride: asNonNegativeIntegerOrNull(data.get("taxRateOverride")),
+    vaultCapacityBonus: parseCurrencyAmount(data.get("vaultCapacityBonus"), 0),
     durationMode: String(data.get("durationMode") ?? "standard").trim() || "standard",
     remainingTurns: asNonNegativeIntegerOrNull(data.get("remainingTurns")),
     durationFormula: String(data.get("durationFormula") ?? "").trim(),
@@ -413,6 +467,7 @@ function readModifierBuilderDataFromLegacyHtml(html) {
   return {
     name: String(read("name") ?? "").trim(),
     applyToAllVentures: checked("applyToAllVentures"),
+    tags: parseVentureTags(read("tags")),
     profitDieStep: asIntegerOr(read("profitDieStep"), 0),
     profitDieOverride: normalizeDieSelectValue(read("profitDieOverride")),
     minProfitDie: normalizeDieSelectValue(read("minProfitDie")),
@@ -421,6 +476,8 @@ function readModifierBuilderDataFromLegacyHtml(html) {
     maxLossDie: normalizeDieSelectValue(read("maxLossDie")),
     successThresholdOverride: asPositiveIntegerOrNull(read("successThresholdOverride")),
     profitRollBonus: asIntegerOr(read("profitRollBonus"), 0),
+    taxRateOverride: asNonNegativeIntegerOrNull(read("taxRateOverride")),
+    vaultCapacityBonus: parseCurrencyAmount(read("vaultCapacityBonus"), 0),
     durationMode: String(read("durationMode") ?? "standard").trim() || "standard",
     remainingTurns: asNonNegativeIntegerOrNull(read("remainingTurns")),
     durationFormula: String(read("durationFormula") ?? "").trim(),
@@ -435,6 +492,7 @@ function buildModifierChangeRows(modifier) {
     "enabled",
     "applyToAllVentures",
     "facilityId",
+    "tags",
     "profitDieStep",
     "profitDieOverride",
     "minProfitDie",
@@ -443,6 +501,8 @@ function buildModifierChangeRows(modifier) {
     "maxLossDie",
     "successThresholdOverride",
     "profitRollBonus",
+    "taxRateOverride",
+    "vaultCapacityBonus",
     "durationFormula",
     "consumePerTurn",
     "bastionDurationType"
@@ -467,7 +527,8 @@ function buildVentureModifierData(input, facilityId = "") {
     consumePerTurn: Boolean(input.consumePerTurn)
   };
   if (input.applyToAllVentures) modifier.applyToAllVentures = true;
-  else if (facilityId) modifier.facilityId = facilityId;
+  else if (facilityId && !input.tags?.length) modifier.facilityId = facilityId;
+  if (input.tags?.length) modifier.tags = input.tags.join(", ");
   if (input.profitDieStep) modifier.profitDieStep = input.profitDieStep;
   if (input.profitDieOverride) modifier.profitDieOverride = input.profitDieOverride;
   if (input.minProfitDie) modifier.minProfitDie = input.minProfitDie;
@@ -476,6 +537,10 @@ function buildVentureModifierData(input, facilityId = "") {
   if (input.maxLossDie) modifier.maxLossDie = input.maxLossDie;
   if (input.successThresholdOverride) modifier.successThresholdOverride = input.successThresholdOverride;
   if (input.profitRollBonus) modifier.profitRollBonus = input.profitRollBonus;
+  if ((input.taxRateOverride !== null) && (input.taxRateOverride !== undefined)) {
+    modifier.taxRateOverride = Math.min(input.taxRateOverride, 100);
+  }
+  if (input.vaultCapacityBonus) modifier.vaultCapacityBonus = input.vaultCapacityBonus;
   const durationMode = String(input.durationMode ?? "standard").trim().toLowerCase();
   if (durationMode === "nextbastionturn") {
     modifier.bastionDurationType = "nextBastionTurn";
@@ -498,12 +563,14 @@ function hasMeaningfulVentureModifier(input) {
     || input.maxLossDie
     || input.successThresholdOverride
     || input.profitRollBonus
+    || ((input.taxRateOverride !== null) && (input.taxRateOverride !== undefined))
+    || input.vaultCapacityBonus
   );
 }
 
-async function promptModifierEffectConfig(initialName) {
+async function promptModifierEffectConfig(initialName, ladder = DICE_STEPS) {
   const title = game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderTitle");
-  const content = buildModifierBuilderDialogContent(initialName);
+  const content = buildModifierBuilderDialogContent(initialName, ladder);
   const confirmLabel = game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderCreate");
 
   if (foundry.applications?.api?.DialogV2?.prompt) {
@@ -551,7 +618,7 @@ function buildBoonLine(row) {
   const name = String(row.name ?? "").trim();
   if (!name) return null;
 
-  const cost = Math.max(Number.parseInt(String(row.cost ?? "0"), 10) || 0, 0);
+  const cost = Math.max(parseCurrencyAmount(row.cost, 0), 0);
   const description = String(row.description ?? "").trim();
   const reward = normalizeRewardReferenceText(row.reward);
   const limit = normalizeLimitText(row.limit);
@@ -612,7 +679,7 @@ function createBoonRowElement(doc, values = {}) {
     placeholder: game.i18n.localize("INDYVENTURES.BoonEditor.Cost"),
     value: values.cost ?? 0,
     min: 0,
-    step: 1
+    step: 0.01
   }));
   row.append(makeInput({
     cls: "boon-description",
@@ -1083,7 +1150,7 @@ class BoonEditorApplication extends HandlebarsApplicationMixin(ApplicationV2) {
 
     const boonName = String(row.querySelector(".boon-name")?.value ?? "").trim();
     const initialName = boonName || game.i18n.localize("INDYVENTURES.BoonEditor.ModifierBuilderDefaultName");
-    const input = await promptModifierEffectConfig(initialName);
+    const input = await promptModifierEffectConfig(initialName, getDieLadder(getFacilityConfig(facility)));
     if (!input) {
       moduleLog("Boon modifier builder: no input returned from dialog", {
         facility: facility.name,
@@ -1278,6 +1345,35 @@ function bindBoonDropTarget(sheet, html) {
   });
 }
 
+function bindUuidDropTarget(sheet, html, selector, documentNames) {
+  if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const accepted = [documentNames].flat();
+  for (const input of root?.querySelectorAll?.(selector) ?? []) {
+    if (input.dataset.indyVentureDropBound === "true") continue;
+
+    input.dataset.indyVentureDropBound = "true";
+    input.addEventListener("dragover", event => {
+      const data = TextEditor.getDragEventData(event);
+      if (!accepted.includes(data?.type)) return;
+      event.preventDefault();
+      if (event.dataTransfer) event.dataTransfer.dropEffect = "link";
+    });
+
+    input.addEventListener("drop", event => {
+      const data = TextEditor.getDragEventData(event);
+      if (!accepted.includes(data?.type)) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      if (!data.uuid) return;
+      input.value = data.uuid;
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+  }
+}
+
 function bindBoonEditorButton(sheet, html) {
   if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
 
@@ -1293,6 +1389,365 @@ function bindBoonEditorButton(sheet, html) {
   });
 }
 
+async function updateVentureRoster(facility, configKey, mutate) {
+  const entries = foundry.utils.deepClone(getFacilityConfig(facility)[configKey] ?? []);
+  mutate(entries);
+  await facility.update({ [`flags.${MODULE_ID}.config.${configKey}`]: entries });
+}
+
+function bindVentureRosterControls(sheet, html, { selector, configKey, addAction, removeAction, createEntry, createFromActor }) {
+  if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const fields = root?.querySelector?.(selector);
+  if (!fields || (fields.dataset.indyVentureRosterBound === "true")) return;
+
+  fields.dataset.indyVentureRosterBound = "true";
+  const facility = sheet.document;
+  fields.addEventListener("click", event => {
+    const button = event.target.closest("[data-action]");
+    if (!button || !fields.contains(button)) return;
+    if (addAction && (button.dataset.action === addAction)) {
+      event.preventDefault();
+      updateVentureRoster(facility, configKey, entries => entries.push(createEntry()));
+    } else if (button.dataset.action === removeAction) {
+      event.preventDefault();
+      const index = Number(button.dataset.index);
+      updateVentureRoster(facility, configKey, entries => entries.splice(index, 1));
+    }
+  });
+  if (!createFromActor) return;
+
+  fields.addEventListener("dragover", event => {
+    const data = TextEditor.getDragEventData(event);
+    if (data?.type !== "Actor") return;
+    event.preventDefault();
+    if (event.dataTransfer) event.dataTransfer.dropEffect = "link";
+  });
+
+  fields.addEventListener("drop", async event => {
+    const data = TextEditor.getDragEventData(event);
+    if (data?.type !== "Actor") return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    const actor = data.uuid ? await fromUuid(data.uuid) : null;
+    if (!actor) return;
+    await updateVentureRoster(facility, configKey, entries => entries.push(createFromActor(actor)));
+  });
+}
+
+function bindVentureStaffControls(sheet, html) {
+  bindVentureRosterControls(sheet, html, {
+    selector: ".indy-staff-fields",
+    configKey: "staff",
+    addAction: "addVentureStaff",
+    removeAction: "removeVentureStaff",
+    createEntry: () => ({ name: game.i18n.localize("INDYVENTURES.Staff.NewName"), role: "worker", wage: 0 }),
+    createFromActor: actor => ({ name: actor.name, actorUuid: actor.uuid, role: "worker", wage: 0 })
+  });
+}
+
+function bindVenturePartnerControls(sheet, html) {
+  bindVentureRosterControls(sheet, html, {
+    selector: ".indy-partner-fields",
+    configKey: "partners",
+    removeAction: "removeVenturePartner",
+    createFromActor: actor => ({ actorUuid: actor.uuid, share: 0 })
+  });
+}
+
+function bindVentureMilestoneControls(sheet, html) {
+  bindVentureRosterControls(sheet, html, {
+    selector: ".indy-milestone-fields",
+    configKey: "milestones",
+    addAction: "addVentureMilestone",
+    removeAction: "removeVentureMilestone",
+    createEntry: () => ({ name: game.i18n.localize("INDYVENTURES.Milestones.NewName"), type: "profitDie", announce: true })
+  });
+}
+
+function bindVentureHistoryButton(sheet, html) {
+  if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const button = root?.querySelector?.('[data-action="openVentureHistory"]');
+  if (!button || (button.dataset.indyVentureHistoryBound === "true")) return;
+
+  button.dataset.indyVentureHistoryBound = "true";
+  button.addEventListener("click", event => {
+    event.preventDefault();
+    openVentureHistory(sheet.document);
+  });
+}
+
+function bindVentureSimulatorButton(sheet, html) {
+  if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const button = root?.querySelector?.('[data-action="simulateVenture"]');
+  if (!button || (button.dataset.indyVentureSimulatorBound === "true")) return;
+
+  button.dataset.indyVentureSimulatorBound = "true";
+  button.addEventListener("click", event => {
+    event.preventDefault();
+    openVentureSimulator(sheet.document);
+  });
+}
+
+async function confirmAdvanceVentureTurn(content) {
+  const title = game.i18n.localize("INDYVENTURES.ManualTurn.Title");
+  if (foundry.applications?.api?.DialogV2?.confirm) {
+    return foundry.applications.api.DialogV2.confirm({
+      window: { title },
+      content: `<p>${content}</p>`,
+      rejectClose: false
+    });
+  }
+  return true;
+}
+
+async function advanceVentureTurn({ actor, facilities = null, content, button }) {
+  if (!(await confirmAdvanceVentureTurn(content))) return;
+  button.disabled = true;
+  try {
+    await processVentureTurn(actor, { facilities });
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function bindAdvanceVentureTurnButton(sheet, html) {
+  if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
+  if (!game.user.isGM) return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const button = root?.querySelector?.('[data-action="advanceVentureTurn"]');
+  if (!button || (button.dataset.indyVentureAdvanceBound === "true")) return;
+
+  button.dataset.indyVentureAdvanceBound = "true";
+  button.addEventListener("click", async event => {
+    event.preventDefault();
+    const facility = sheet.document;
+    if (!facility.actor) return;
+    await advanceVentureTurn({
+      actor: facility.actor,
+      facilities: [facility],
+      content: game.i18n.format("INDYVENTURES.ManualTurn.ConfirmOne", {
+        venture: facility.getFlag(MODULE_ID, "config")?.ventureName || facility.name
+      }),
+      button
+    });
+  });
+}
+
+function buildRelaunchDialogContent(config, state) {
+  const ladder = getDieLadder(config);
+  const maxIndex = config.maxProfitDie ? ladder.indexOf(config.maxProfitDie) : ladder.length - 1;
+  const dieOptions = ladder
+    .slice(0, maxIndex + 1)
+    .map(die => `<option value="${escapeHtmlAttribute(die)}"${die === config.startingProfitDie ? " selected" : ""}>${die}</option>`)
+    .join("");
+  const intro = game.i18n.format("INDYVENTURES.Relaunch.Content", {
+    venture: escapeHtmlAttribute(config.ventureName),
+    cost: config.relaunchCost,
+    treasury: state.treasury
+  });
+  return `
+    <p>${intro}</p>
+    <div class="form-group">
+      <label>${game.i18n.localize("INDYVENTURES.Relaunch.StartingDie")}</label>
+      <div class="form-fields">
+        <select name="startingDie">${dieOptions}</select>
+      </div>
+    </div>
+    <div class="form-group">
+      <label>${game.i18n.localize("INDYVENTURES.Relaunch.KeepHistory")}</label>
+      <div class="form-fields">
+        <input type="checkbox" name="keepHistory" checked />
+      </div>
+    </div>
+  `;
+}
+
+async function promptRelaunchVenture(facility) {
+  const config = getFacilityConfig(facility);
+  const state = getFacilityState(facility, config);
+  const title = game.i18n.localize("INDYVENTURES.Relaunch.Title");
+  const content = buildRelaunchDialogContent({ ...config, ventureName: config.ventureName || facility.name }, state);
+  const confirmLabel = game.i18n.localize("INDYVENTURES.Relaunch.Confirm");
+  const readForm = form => {
+    if (!form) return null;
+    const data = new FormData(form);
+    return {
+      startingDie: String(data.get("startingDie") ?? "").trim() || null,
+      keepHistory: data.get("keepHistory") !== null
+    };
+  };
+
+  if (foundry.applications?.api?.DialogV2?.prompt) {
+    return foundry.applications.api.DialogV2.prompt({
+      window: { title },
+      content,
+      rejectClose: false,
+      ok: {
+        label: confirmLabel,
+        callback: (event, button) => readForm(button?.form)
+      }
+    });
+  }
+
+  return Dialog.prompt({
+    title,
+    content: `<form>${content}</form>`,
+    callback: html => readForm(html.find("form")[0])
+  });
+}
+
+function bindRelaunchVentureButton(sheet, html) {
+  if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const button = root?.querySelector?.('[data-action="relaunchVenture"]');
+  if (!button || (button.dataset.indyVentureRelaunchBound === "true")) return;
+
+  button.dataset.indyVentureRelaunchBound = "true";
+  button.addEventListener("click", async event => {
+    event.preventDefault();
+    const facility = sheet.document;
+    const options = await promptRelaunchVenture(facility);
+    if (!options) return;
+    button.disabled = true;
+    try {
+      await relaunchVenture(facility, options);
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+function bindVentureInvestButton(sheet, html) {
+  if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const button = root?.querySelector?.('[data-action="investVenture"]');
+  if (!button || (button.dataset.indyVentureInvestBound === "true")) return;
+
+  button.dataset.indyVentureInvestBound = "true";
+  button.addEventListener("click", async event => {
+    event.preventDefault();
+    button.disabled = true;
+    try {
+      await openVentureInvestment(sheet.document);
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+function bindTreasuryTransferButton(sheet, html) {
+  if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const button = root?.querySelector?.('[data-action="transferTreasury"]');
+  if (!button || (button.dataset.indyVentureTransferBound === "true")) return;
+
+  button.dataset.indyVentureTransferBound = "true";
+  button.addEventListener("click", async event => {
+    event.preventDefault();
+    button.disabled = true;
+    try {
+      await openTreasuryTransfer(sheet.document);
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+function hasVentureFacilities(actor) {
+  return (actor?.itemTypes?.facility ?? []).some(facility => Boolean(facility.getFlag(MODULE_ID, "config")?.enabled));
+}
+
+function bindActorBastionTurnControls(sheet, html) {
+  const actor = sheet?.document;
+  if (!isVentureOwnerActor(actor)) return;
+  if (!game.user.isGM || !hasVentureFacilities(actor)) return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const tab = root?.querySelector?.('.tab[data-tab="bastion"]');
+  if (!tab || tab.querySelector(".indy-venture-bastion-controls")) return;
+
+  const controls = document.createElement("div");
+  controls.classList.add("indy-venture-bastion-controls");
+  const button = document.createElement("button");
+  button.type = "button";
+  button.dataset.action = "advanceAllVentureTurns";
+  button.dataset.tooltip = "INDYVENTURES.Sheet.AdvanceAllTurnsTooltip";
+  button.innerHTML = `<i class="fa-solid fa-forward-step" aria-hidden="true"></i> ${game.i18n.localize("INDYVENTURES.Sheet.AdvanceAllTurns")}`;
+  button.addEventListener("click", async event => {
+    event.preventDefault();
+    event.stopPropagation();
+    await advanceVentureTurn({
+      actor,
+      content: game.i18n.format("INDYVENTURES.ManualTurn.ConfirmAll", { actor: actor.name }),
+      button
+    });
+  });
+  controls.append(button);
+  tab.prepend(controls);
+}
+
+function getPartnerVentures(actor) {
+  const ventures = [];
+  for (const owner of game.actors ?? []) {
+    if (!isVentureOwnerActor(owner) || (owner === actor)) continue;
+    for (const facility of owner.itemTypes?.facility ?? []) {
+      const config = getFacilityConfig(facility);
+      if (!config.enabled) continue;
+      const partner = config.partners.find(entry => entry.actorUuid === actor.uuid);
+      if (!partner) continue;
+      ventures.push({ owner, facility, config, share: partner.share });
+    }
+  }
+  return ventures;
+}
+
+function bindPartnerVenturesPanel(sheet, html) {
+  const actor = sheet?.document;
+  if (!isVentureOwnerActor(actor)) return;
+
+  const root = resolveHtmlRoot(sheet, html);
+  const tab = root?.querySelector?.('.tab[data-tab="bastion"]');
+  if (!tab || tab.querySelector(".indy-venture-partner-ventures")) return;
+  const ventures = getPartnerVentures(actor);
+  if (!ventures.length) return;
+
+  const panel = document.createElement("section");
+  panel.classList.add("indy-venture-partner-ventures");
+  const heading = document.createElement("h3");
+  heading.textContent = game.i18n.localize("INDYVENTURES.Partners.BastionHeading");
+  const list = document.createElement("ul");
+  for (const { owner, facility, config, share } of ventures) {
+    const item = document.createElement("li");
+    const link = document.createElement("a");
+    link.classList.add("content-link");
+    link.dataset.uuid = facility.uuid;
+    link.dataset.link = "";
+    link.textContent = config.ventureName || facility.name;
+    const details = document.createElement("span");
+    details.classList.add("hint");
+    details.textContent = game.i18n.format("INDYVENTURES.Partners.BastionEntry", {
+      owner: owner.name,
+      share,
+      treasury: getFacilityState(facility, config).treasury
+    });
+    item.append(link, " ", details);
+    list.append(item);
+  }
+  panel.append(heading, list);
+  tab.append(panel);
+}
+
 function bindBoonTableLinks(sheet, html) {
   if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
 
@@ -1317,19 +1772,42 @@ function bindBoonTableLinks(sheet, html) {
 
 function bindFacilityEditorControls(sheet, html) {
   bindBoonDropTarget(sheet, html);
+  bindUuidDropTarget(sheet, html, ".indy-venture-manager-input", "Actor");
+  bindUuidDropTarget(sheet, html, ".indy-venture-event-table-input", "RollTable");
+  bindUuidDropTarget(sheet, html, ".indy-milestone-reward-input", ["Item", "ActiveEffect"]);
+  bindVentureStaffControls(sheet, html);
+  bindVenturePartnerControls(sheet, html);
+  bindVentureMilestoneControls(sheet, html);
   bindBoonEditorButton(sheet, html);
+  bindVentureHistoryButton(sheet, html);
+  bindVentureSimulatorButton(sheet, html);
+  bindAdvanceVentureTurnButton(sheet, html);
+  bindRelaunchVentureButton(sheet, html);
+  bindVentureInvestButton(sheet, html);
+  bindTreasuryTransferButton(sheet, html);
   bindBoonTableLinks(sheet, html);
 }
 
 export function registerFacilitySheetHooks() {
-  Hooks.on("preUpdateItem", (item, change) => {
+  Hooks.on("preUpdateItem", (item, change, options) => {
     if (item.type !== "facility") return;
+    if (foundry.utils.hasProperty(change, "system.size")) options.indyVenturesPreviousSize = item.system.size;
     sanitizeConfigPatchForUpdate(item, change);
     sanitizeStatePatchForUpdate(item, change);
   });
+  Hooks.on("updateItem", (item, change, options, userId) => {
+    if ((item.type !== "facility") || (userId !== game.user.id)) return;
+    if (!Object.prototype.hasOwnProperty.call(options, "indyVenturesPreviousSize")) return;
+    applyFacilitySizeChange(item, options.indyVenturesPreviousSize)
+      .catch(error => console.error(`${MODULE_ID} | Facility size change failed`, error));
+  });
   Hooks.on("renderItemSheet", (sheet, html) => bindFacilityEditorControls(sheet, html));
   Hooks.on("renderItemSheet5e", (sheet, html) => bindFacilityEditorControls(sheet, html));
   Hooks.on("dnd5e.renderItemSheet", (sheet, html) => bindFacilityEditorControls(sheet, html));
+  Hooks.on("renderActorSheetV2", (sheet, html) => {
+    bindActorBastionTurnControls(sheet, html);
+    bindPartnerVenturesPanel(sheet, html);
+  });
   Hooks.on("renderActiveEffectConfig", (sheet, html) => bindActiveEffectModifierSummary(sheet, html));
   Hooks.on("dnd5e.renderActiveEffectConfig", (sheet, html) => bindActiveEffectModifierSummary(sheet, html));
   Hooks.on("renderDAEActiveEffectConfig", (sheet, html) => bindActiveEffectModifierSummary(sheet, html));
@@ -1339,7 +1817,10 @@ export function registerFacilitySheetHooks() {
       if (sheet?.document?.documentName !== "Item" || sheet.document.type !== "facility") return;
       if (!Array.isArray(context.parts)) return;
 
-      context.indyVentures = prepareFacilitySheetContext(sheet.document);
+      context.indyVentures = prepareFacilitySheetContext(sheet.document, {
+        vaultCapacity: getVentureVaultCapacity(sheet.document),
+        worldEffects: getWorldModifierEffects(sheet.document)
+      });
       if (!context.parts.includes(TEMPLATE_PATHS.facilityDetails)) {
         context.parts.unshift(TEMPLATE_PATHS.facilityDetails);
       }
@@ -1347,7 +1828,7 @@ export function registerFacilitySheetHooks() {
     }
 
     if (partId === "bastion") {
-      if (sheet?.document?.documentName !== "Actor" || sheet.document.type !== "character") return;
+      if (!isVentureOwnerActor(sheet?.document)) return;
       if (!game.settings.get(MODULE_ID, SETTINGS.hideVentureHirelings)) return;
       const facilities = context.itemCategories?.facilities ?? [];
       for (const facility of facilities) {
@@ -1362,7 +1843,20 @@ export function registerFacilitySheetHooks() {
 }
 
 export function registerModuleTemplates() {
-  return loadTemplates([TEMPLATE_PATHS.facilityDetails, TEMPLATE_PATHS.chatSummary, TEMPLATE_PATHS.boonEditor]);
+  return loadTemplates([
+    TEMPLATE_PATHS.facilityDetails,
+    TEMPLATE_PATHS.chatSummary,
+    TEMPLATE_PATHS.chatResult,
+    TEMPLATE_PATHS.chatEconomy,
+    TEMPLATE_PATHS.chatRelaunch,
+    TEMPLATE_PATHS.chatFacilitySize,
+    TEMPLATE_PATHS.chatMilestone,
+    TEMPLATE_PATHS.chatTransfer,
+    TEMPLATE_PATHS.boonEditor,
+    TEMPLATE_PATHS.ventureHistory,
+    TEMPLATE_PATHS.ventureSimulation,
+    TEMPLATE_PATHS.worldEconomy
+  ]);
 }
 
 export function registerModuleApi() {
@@ -1371,6 +1865,19 @@ export function registerModuleApi() {
   module.api = {
     getFacilityConfig: facility => facility.getFlag(MODULE_ID, "config"),
     getFacilityState: facility => facility.getFlag(MODULE_ID, "state"),
+    getFacilityHistory: facility => getFacilityState(facility).history,
+    findVentures: (options = {}) => findVentures(options),
+    openVentureHistory: facility => openVentureHistory(facility),
+    simulateVenture: (facility, options = {}) => simulateVenture(facility, options),
+    openVentureSimulator: facility => openVentureSimulator(facility),
+    processVentureTurn: (actor, options = {}) => processVentureTurn(actor, options),
+    revertVentureTurn: (message, actorUuid = "") => revertVentureTurn(message, actorUuid),
+    relaunchVenture: (facility, options = {}) => relaunchVenture(facility, options),
+    investInVenture: (facility, options = {}) => investInVenture(facility, options),
+    transferTreasury: (fromFacility, target, amount) => transferTreasury(fromFacility, target, amount),
+    getWorldModifiers: () => getWorldModifiers(),
+    setWorldModifiers: modifiers => setWorldModifiers(modifiers),
+    openWorldEconomy: () => openWorldEconomy(),
     resetFacilityState: async facility => {
       if (facility?.documentName !== "Item") return;
       await facility.update({
@@ -0,0 +1,544 @@
+import { MODULE_ID, TEMPLATE_PATHS, VENTURE_DIE_FLAVOR } from "./constants.js";
+import { getFacilityConfig, getFacilityState, getVaultCapacity, parseBoonsFromConfig, setTreasury } from "./config.js";
+import { cpToGp, getActorCurrencyCp, getDieLadder, roundGp, splitPartnerShares } from "./utils.js";
+import {
+  applyModifierToAggregate,
+  applyNaturalOnePenalty,
+  applyProfitableTurn,
+  applyTurnAdjustments,
+  applyUncoveredDeficit,
+  applyVaultTheftRisk,
+  bankTurnProfit,
+  collectActiveVentureModifiers,
+  computeTurnEconomics,
+  computeVentureDice,
+  createModifierAggregate,
+  getEffectModifierData,
+  getManagementCheckModifier,
+  getStaffEffects,
+  getVentureEventData,
+  getWorldTaxRate,
+  getVentureDieTotal,
+  planDeficitCoverage,
+  resolveVentureFormula,
+  settleDeficitCoverage,
+  splitOwnerPayout
+} from "./engine.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+function clampInteger(value, fallback, min, max) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+function formatSigned(value) {
+  const amount = Number(value) || 0;
+  return `${amount > 0 ? "+" : ""}${amount}`;
+}
+
+function formatGp(value) {
+  const amount = Math.round((Number(value) || 0) * 100) / 100;
+  return Number.isInteger(amount) ? String(amount) : amount.toFixed(2).replace(/\.?0+$/, "");
+}
+
+function formatPercent(value) {
+  const percent = Math.round((Number(value) || 0) * 1000) / 10;
+  return `${percent}%`;
+}
+
+function getActorFundsGp(actor) {
+  return cpToGp(Math.floor(Math.max(getActorCurrencyCp(actor), 0)));
+}
+
+function rollDieFace(faces) {
+  const random = CONFIG.Dice?.randomUniform ? CONFIG.Dice.randomUniform() : Math.random();
+  return Math.min(Math.floor(random * faces) + 1, faces);
+}
+
+// Most resolved formulas are sums of NdM and flat terms; anything else falls back to a synchronous Roll.
+function rollFormula(formula) {
+  const compact = String(formula ?? "").replace(/\s+/g, "").replace(/(^|\+)\(([^()]*)\)/g, "$1$2");
+  const terms = compact.match(/[+-]?(\d*d\d+(\[[a-z]+\])?|\d+)/g);
+  if (!terms || (terms.join("") !== compact)) {
+    const roll = new Roll(formula).evaluateSync();
+    return { total: Number(roll.total) || 0, dieTotal: getVentureDieTotal(roll) };
+  }
+  let total = 0;
+  let dieTotal = 0;
+  let tagged = false;
+  for (const term of terms) {
+    const sign = term.startsWith("-") ? -1 : 1;
+    const body = term.replace(/^[+-]/, "");
+    if (!body.includes("d")) {
+      total += sign * Number(body);
+      continue;
+    }
+    const isVentureDie = body.endsWith(`[${VENTURE_DIE_FLAVOR}]`);
+    const [count, faces] = body.replace(/\[[a-z]+\]$/, "").split("d");
+    const dice = count ? Number(count) : 1;
+    let termTotal = 0;
+    for (let index = 0; index < dice; index += 1) termTotal += rollDieFace(Number(faces) || 1);
+    total += sign * termTotal;
+    if (isVentureDie) {
+      tagged = true;
+      dieTotal += termTotal;
+    }
+  }
+  return { total, dieTotal: tagged ? dieTotal : total };
+}
+
+function rollVentureFormula(template, die, rollData) {
+  return rollFormula(resolveVentureFormula(template, die, rollData));
+}
+
+function buildTurnAggregate(modifiers, ladder) {
+  const aggregate = createModifierAggregate();
+  for (const modifier of modifiers) {
+    if ((modifier.remainingTurns !== null) && (modifier.remainingTurns <= 0)) continue;
+    applyModifierToAggregate(aggregate, modifier, ladder);
+  }
+  return aggregate;
+}
+
+// Follows planDeficitCoverage like processSingleVenture does; coverage prompts resolve to "accept" when ownersCover is set.
+function resolveSimulatedDeficit(config, state, wallet, deficit, ownersCover) {
+  const plan = planDeficitCoverage(config, state.treasury, deficit);
+  let treasuryCovered = 0;
+  let characterCovered = 0;
+  const useTreasury = () => {
+    treasuryCovered = plan.treasuryAvailable;
+    setTreasury(state, state.treasury - treasuryCovered);
+  };
+  const payFromWallet = amount => {
+    wallet.funds = roundGp(wallet.funds - amount);
+    characterCovered = amount;
+  };
+  if (plan.mode === "treasuryFirst") {
+    useTreasury();
+    const canPay = (plan.afterTreasury > 0) && (plan.autoCoverLoss || ownersCover) && (wallet.funds >= plan.afterTreasury);
+    if (canPay) payFromWallet(plan.afterTreasury);
+  } else if (plan.mode === "actor") {
+    if (wallet.funds >= deficit) payFromWallet(deficit);
+  } else if (ownersCover) {
+    if ((plan.treasuryAvailable > 0) && (wallet.funds >= plan.afterTreasury)) {
+      useTreasury();
+      if (plan.afterTreasury > 0) payFromWallet(plan.afterTreasury);
+    } else if (wallet.funds >= deficit) {
+      payFromWallet(deficit);
+    }
+  }
+  return {
+    treasuryCovered,
+    characterCovered,
+    ...settleDeficitCoverage(deficit, treasuryCovered, characterCovered)
+  };
+}
+
+// Mirrors splitPartnerDeficit: the owner pays up front and each partner who can afford their share reimburses it.
+function reimburseSimulatedPartners(config, wallet, characterCovered) {
+  for (const allocation of splitPartnerShares(characterCovered, config.partners)) {
+    const funds = wallet.partners.get(allocation.actorUuid);
+    if ((funds === undefined) || (funds < allocation.amount)) continue;
+    wallet.partners.set(allocation.actorUuid, roundGp(funds - allocation.amount));
+    wallet.funds = roundGp(wallet.funds + allocation.amount);
+  }
+}
+
+function paySimulatedVaultOverflow(config, wallet, amount) {
+  const present = config.partners.filter(partner => wallet.partners.has(partner.actorUuid));
+  const { ownerAmount, allocations } = splitOwnerPayout(amount, present);
+  for (const allocation of allocations) {
+    wallet.partners.set(allocation.actorUuid, roundGp(wallet.partners.get(allocation.actorUuid) + allocation.amount));
+  }
+  wallet.funds = roundGp(wallet.funds + ownerAmount);
+}
+
+function getPartnerFunds(config) {
+  const funds = [];
+  for (const partner of config.partners) {
+    const actor = fromUuidSync(partner.actorUuid, { strict: false });
+    if (actor?.documentName === "Actor") funds.push([partner.actorUuid, getActorFundsGp(actor)]);
+  }
+  return funds;
+}
+
+// Venture modifiers granted by an event effect or free boon, read from their source effects like a reward would be.
+function resolveSimulatedEventModifiers(config, data) {
+  const boons = parseBoonsFromConfig(config);
+  const boon = data.boon ? boons.find(entry => entry.name.toLocaleLowerCase() === data.boon.toLocaleLowerCase()) : null;
+  return [data.effectUuid, boon?.rewardUuid]
+    .map(uuid => String(uuid ?? "").trim())
+    .filter(Boolean)
+    .map(uuid => ({ uuid, effect: fromUuidSync(uuid, { strict: false }) }))
+    .filter(({ effect }) => effect?.documentName === "ActiveEffect")
+    .map(({ uuid, effect }) => {
+      const modifier = { ...getEffectModifierData(effect), eventSourceUuid: uuid };
+      if (modifier.bastionDurationType === "nextBastionTurn") modifier.remainingTurns = 1;
+      const durationFormula = String(effect.getFlag(MODULE_ID, "ventureModifier")?.durationFormula ?? "").trim();
+      if ((modifier.remainingTurns === null) && durationFormula) modifier.durationFormula = durationFormula;
+      return modifier;
+    })
+    .filter(modifier => modifier.enabled);
+}
+
+// Event results are read once; each simulated turn rolls the table formula and sums the matching results.
+function resolveSimulatedEventTable(config) {
+  const uuid = String(config.eventTableUuid ?? "").trim();
+  if (!uuid) return { status: "none", table: null };
+  const table = fromUuidSync(uuid, { strict: false });
+  const results = (table?.documentName === "RollTable")
+    ? [...(table.results ?? [])].map(result => {
+      const data = getVentureEventData(result);
+      return { range: result.range ?? [0, 0], ...data, modifiers: resolveSimulatedEventModifiers(config, data) };
+    })
+    : [];
+  if (!results.length) return { status: "unavailable", table: null };
+  return {
+    status: "simulated",
+    table: {
+      name: table.name,
+      formula: table.formula || `1d${Math.max(...results.map(result => Number(result.range[1]) || 1))}`,
+      results
+    }
+  };
+}
+
+function drawSimulatedEvent(eventTable) {
+  if (!eventTable) return null;
+  const total = rollFormula(eventTable.formula).total;
+  const matches = eventTable.results.filter(result => (total >= result.range[0]) && (total <= result.range[1]));
+  if (!matches.length) return null;
+  return {
+    gp: roundGp(matches.reduce((sum, result) => sum + result.gp, 0)),
+    loss: roundGp(matches.reduce((sum, result) => sum + result.loss, 0)),
+    profitDieStep: matches.reduce((sum, result) => sum + result.profitDieStep, 0),
+    profitRollBonus: matches.reduce((sum, result) => sum + result.profitRollBonus, 0),
+    modifiers: matches.flatMap(result => result.modifiers).map(modifier => {
+      if (!modifier.durationFormula) return { ...modifier };
+      return { ...modifier, remainingTurns: Math.max(rollFormula(modifier.durationFormula).total, 1) };
+    })
+  };
+}
+
+function buildSimulatedRollData(baseRollData, config, state, die) {
+  return {
+    ...baseRollData,
+    venture: {
+      die,
+      profitDie: state.currentProfitDie,
+      lossDie: config.lossDie,
+      streak: state.streak,
+      treasury: state.treasury,
+      successThreshold: config.successThreshold,
+      gpPerPoint: config.gpPerPoint
+    }
+  };
+}
+
+function resolveSimulatedManagementCheck(facility, config) {
+  if (!["skill", "tool"].includes(config.checkType)) return null;
+  const key = config.checkType === "tool" ? config.checkTool : config.checkSkill;
+  if (!key) return null;
+  const linked = config.checkManagerUuid ? fromUuidSync(config.checkManagerUuid, { strict: false }) : null;
+  const manager = (linked?.documentName === "Actor") ? linked : facility.actor;
+  return {
+    modifier: getManagementCheckModifier(manager, config),
+    dc: config.checkDc,
+    success: { profitDieStep: config.checkSuccessStep, profitRollBonus: config.checkSuccessBonus },
+    failure: { profitDieStep: config.checkFailureStep, profitRollBonus: config.checkFailureBonus }
+  };
+}
+
+function simulateRun({ config, startState, startingFunds, partnerFunds, modifiers, turns, ownersCover, baseRollData, managementCheck, eventTable, vaultCapacity }) {
+  const runConfig = { ...config };
+  const ladder = getDieLadder(runConfig);
+  const state = {
+    currentProfitDie: startState.currentProfitDie,
+    streak: startState.streak,
+    treasury: startState.treasury,
+    failed: false
+  };
+  const wallet = { funds: startingFunds, partners: new Map(partnerFunds) };
+  const staffEffects = getStaffEffects(runConfig);
+  const worldTaxRate = getWorldTaxRate();
+  let activeModifiers = modifiers.map(modifier => ({ ...modifier }));
+  const turnResults = [];
+  let characterCovered = 0;
+  let failedOnTurn = null;
+
+  for (let turn = 1; turn <= turns; turn += 1) {
+    // Event modifiers join the active ones before the aggregate is built; a repeat draw refreshes the same effect.
+    const event = drawSimulatedEvent(eventTable);
+    if (event?.modifiers.length) {
+      const sources = new Set(event.modifiers.map(modifier => modifier.eventSourceUuid));
+      activeModifiers = [
+        ...activeModifiers.filter(modifier => !sources.has(modifier.eventSourceUuid)),
+        ...event.modifiers
+      ];
+    }
+    const aggregate = buildTurnAggregate(activeModifiers, ladder);
+    const managementOutcome = managementCheck
+      ? (((rollDieFace(20) + managementCheck.modifier) >= managementCheck.dc) ? managementCheck.success : managementCheck.failure)
+      : null;
+    applyTurnAdjustments(aggregate, [managementOutcome, staffEffects, event]);
+    const turnVaultCapacity = vaultCapacity(aggregate.vaultCapacityBonus);
+    applyVaultTheftRisk(aggregate, runConfig, state, turnVaultCapacity);
+    const { rolledProfitDie, lossDie, effectiveSuccessThreshold } = computeVentureDice(
+      runConfig,
+      state.currentProfitDie,
+      aggregate
+    );
+    const profitRoll = rollVentureFormula(
+      runConfig.profitFormula,
+      rolledProfitDie,
+      runConfig.profitFormula ? buildSimulatedRollData(baseRollData, runConfig, state, rolledProfitDie) : {}
+    );
+    const lossRoll = rollVentureFormula(
+      runConfig.lossFormula,
+      lossDie,
+      runConfig.lossFormula ? buildSimulatedRollData(baseRollData, runConfig, state, lossDie) : {}
+    );
+    const { net } = computeTurnEconomics({
+      config: runConfig,
+      profitRollTotal: profitRoll.total,
+      lossRollTotal: lossRoll.total,
+      aggregate,
+      staffEffects,
+      event,
+      worldTaxRate
+    });
+    const naturalOnePenaltyApplies = Boolean(runConfig.naturalOneDegradesProfitDie) && (profitRoll.dieTotal === 1);
+    let grew = false;
+    let failed = false;
+    let degraded = false;
+
+    if (net > 0) {
+      // Paid out or forfeited overflow leaves the treasury either way; only a payout reaches the wallets.
+      const overflow = bankTurnProfit(state, runConfig, net, turnVaultCapacity);
+      if (overflow && (runConfig.vaultOverflow === "payout")) paySimulatedVaultOverflow(runConfig, wallet, overflow);
+      grew = applyProfitableTurn(state, {
+        naturalOnePenaltyApplies,
+        effectiveSuccessThreshold,
+        ladder,
+        maxProfitDie: runConfig.maxProfitDie
+      });
+    } else if (net < 0) {
+      const deficit = Math.abs(net);
+      state.streak = 0;
+      const coverage = resolveSimulatedDeficit(runConfig, state, wallet, deficit, ownersCover);
+      characterCovered += coverage.characterCovered;
+      if (coverage.characterCovered > 0) reimburseSimulatedPartners(runConfig, wallet, coverage.characterCovered);
+      if (!coverage.covered) {
+        ({ failed, degraded } = applyUncoveredDeficit(state, runConfig, aggregate.minProfitDie));
+      }
+    }
+    if (naturalOnePenaltyApplies && !failed && !degraded) {
+      applyNaturalOnePenalty(state, aggregate.minProfitDie, ladder);
+    }
+
+    turnResults.push(net);
+
+    // Duration bookkeeping follows decrementModifierDurations: growth consumes threshold overrides.
+    activeModifiers = activeModifiers
+      .filter(modifier => !(grew && modifier.successThresholdOverride))
+      .map(modifier => {
+        if (!modifier.consumePerTurn || (modifier.remainingTurns === null)) return modifier;
+        return { ...modifier, remainingTurns: Math.max(modifier.remainingTurns - 1, 0) };
+      });
+
+    if (failed) {
+      failedOnTurn = turn;
+      break;
+    }
+  }
+
+  return {
+    netByTurn: turnResults,
+    failedOnTurn,
+    finalProfitDie: state.failed ? "failed" : state.currentProfitDie,
+    treasury: state.treasury,
+    characterCovered
+  };
+}
+
+export function simulateVenture(facility, { turns = 10, runs = 1000, ownersCover = true } = {}) {
+  if (facility?.documentName !== "Item" || facility.type !== "facility") return null;
+  const config = getFacilityConfig(facility);
+  const state = getFacilityState(facility, config);
+  const turnCount = clampInteger(turns, 10, 1, 100);
+  const runCount = clampInteger(runs, 1000, 1, 10000);
+  const { appliedModifiers } = collectActiveVentureModifiers(facility.actor ?? null, facility);
+  const startState = {
+    currentProfitDie: state.failed ? config.startingProfitDie : state.currentProfitDie,
+    streak: state.failed ? 0 : state.streak,
+    treasury: state.treasury
+  };
+  const startingFunds = getActorFundsGp(facility.actor);
+  const partnerFunds = getPartnerFunds(config);
+  const baseRollData = facility.actor?.getRollData?.() ?? {};
+  const managementCheck = resolveSimulatedManagementCheck(facility, config);
+  const events = resolveSimulatedEventTable(config);
+
+  const failuresByTurn = new Array(turnCount).fill(0);
+  const dieCounts = new Map([...getDieLadder(config), "failed"].map(die => [die, 0]));
+  let totalNet = 0;
+  let totalTurnsPlayed = 0;
+  let totalTreasury = 0;
+  let totalCharacterCovered = 0;
+
+  for (let run = 0; run < runCount; run += 1) {
+    const result = simulateRun({
+      config,
+      startState,
+      startingFunds,
+      partnerFunds,
+      modifiers: appliedModifiers,
+      turns: turnCount,
+      ownersCover: Boolean(ownersCover),
+      baseRollData,
+      managementCheck,
+      eventTable: events.table,
+      vaultCapacity: bonus => getVaultCapacity(facility, config, bonus)
+    });
+    totalNet += result.netByTurn.reduce((total, net) => total + net, 0);
+    totalTurnsPlayed += result.netByTurn.length;
+    totalTreasury += result.treasury;
+    totalCharacterCovered += result.characterCovered;
+    if (result.failedOnTurn) failuresByTurn[result.failedOnTurn - 1] += 1;
+    dieCounts.set(result.finalProfitDie, (dieCounts.get(result.finalProfitDie) ?? 0) + 1);
+  }
+
+  let cumulativeFailures = 0;
+  const failureByTurn = failuresByTurn.map((count, index) => {
+    cumulativeFailures += count;
+    return { turn: index + 1, chance: cumulativeFailures / runCount };
+  });
+
+  return {
+    facilityUuid: facility.uuid,
+    ventureName: config.ventureName || facility.name,
+    turns: turnCount,
+    runs: runCount,
+    ownersCover: Boolean(ownersCover),
+    startingProfitDie: startState.currentProfitDie,
+    startingTreasury: startState.treasury,
+    modifierCount: appliedModifiers.length,
+    events: events.status,
+    eventTableName: events.table?.name ?? "",
+    expectedNetPerTurn: totalTurnsPlayed ? totalNet / totalTurnsPlayed : 0,
+    expectedTotalNet: totalNet / runCount,
+    expectedTreasury: totalTreasury / runCount,
+    expectedCharacterCovered: totalCharacterCovered / runCount,
+    failureChance: cumulativeFailures / runCount,
+    failureByTurn,
+    profitDieDistribution: [...dieCounts.entries()].map(([die, count]) => ({
+      die,
+      count,
+      chance: count / runCount
+    }))
+  };
+}
+
+class VentureSimulatorApplication extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    actions: {
+      runSimulation: VentureSimulatorApplication.#onRunSimulation
+    },
+    classes: ["dnd5e2", "indy-ventures", "indy-venture-simulator-app"],
+    position: {
+      width: 560,
+      height: "auto"
+    },
+    tag: "section",
+    window: {
+      title: "INDYVENTURES.Simulator.Title",
+      resizable: true
+    }
+  };
+
+  static PARTS = {
+    content: {
+      template: TEMPLATE_PATHS.ventureSimulation
+    }
+  };
+
+  #facility;
+  #options = { turns: 10, runs: 1000, ownersCover: true };
+  #result = null;
+
+  constructor({ facility }) {
+    super();
+    this.#facility = facility;
+  }
+
+  get title() {
+    const config = getFacilityConfig(this.#facility);
+    return game.i18n.format("INDYVENTURES.Simulator.Title", {
+      venture: config.ventureName || this.#facility.name
+    });
+  }
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const config = getFacilityConfig(this.#facility);
+    const result = this.#result;
+    return {
+      ...context,
+      ventureName: config.ventureName || this.#facility.name,
+      options: this.#options,
+      hasResult: Boolean(result),
+      result: result
+        ? {
+          turns: result.turns,
+          runs: result.runs,
+          startingProfitDie: result.startingProfitDie,
+          modifierCount: result.modifierCount,
+          eventsText: {
+            simulated: game.i18n.format("INDYVENTURES.Simulator.EventsSimulated", { table: result.eventTableName }),
+            unavailable: game.i18n.localize("INDYVENTURES.Simulator.EventsNotSimulated")
+          }[result.events] ?? "",
+          expectedNetPerTurn: formatSigned(formatGp(result.expectedNetPerTurn)),
+          expectedTotalNet: formatSigned(formatGp(result.expectedTotalNet)),
+          expectedTreasury: formatGp(result.expectedTreasury),
+          expectedCharacterCovered: formatGp(result.expectedCharacterCovered),
+          failureChance: formatPercent(result.failureChance),
+          failureByTurn: result.failureByTurn.map(entry => ({
+            turn: entry.turn,
+            chance: formatPercent(entry.chance)
+          })),
+          profitDieDistribution: result.profitDieDistribution.map(entry => ({
+            die: entry.die === "failed" ? game.i18n.localize("INDYVENTURES.Simulator.Failed") : entry.die,
+            count: entry.count,
+            chance: formatPercent(entry.chance),
+            width: Math.round(entry.chance * 100),
+            failed: entry.die === "failed"
+          }))
+        }
+        : null
+    };
+  }
+
+  static #onRunSimulation() {
+    const root = this.element;
+    this.#options = {
+      turns: clampInteger(root.querySelector('[name="turns"]')?.value, 10, 1, 100),
+      runs: clampInteger(root.querySelector('[name="runs"]')?.value, 1000, 1, 10000),
+      ownersCover: Boolean(root.querySelector('[name="ownersCover"]')?.checked)
+    };
+    this.#result = simulateVenture(this.#facility, this.#options);
+    this.render();
+  }
+}
+
+export function openVentureSimulator(facility) {
+  if (facility?.documentName !== "Item" || facility.type !== "facility") return null;
+  if (!facility.getFlag(MODULE_ID, "config")) {
+    ui.notifications.warn(game.i18n.localize("INDYVENTURES.Simulator.NotConfigured"));
+    return null;
+  }
+  const app = new VentureSimulatorApplication({ facility });
+  app.render({ force: true });
+  return app;
+}
@@ -1,17 +1,58 @@
-import { DICE_STEPS } from "./constants.js";
+import { DICE_STEPS, VENTURE_OWNER_TYPES } from "./constants.js";
 
 export function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
-export function normalizeDie(die, fallback = "d6") {
-  return DICE_STEPS.includes(die) ? die : fallback;
+const DIE_FORMULA_PATTERN = /^[+-]?(\d*d\d+|\d+)([+-](\d*d\d+|\d+))*$/;
+
+// Canonical ladder step: lowercase, no whitespace, and "1d8" written as "d8" so it matches the default ladder.
+export function normalizeDieFormula(value) {
+  const formula = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "")
+    .replace(/(^|[+-])1d/g, "$1d");
+  if (!formula || !DIE_FORMULA_PATTERN.test(formula) || !formula.includes("d")) return "";
+  return formula;
 }
 
-export function shiftDie(die, steps = 0) {
-  const index = DICE_STEPS.indexOf(normalizeDie(die));
-  const shifted = clamp(index + Number(steps || 0), 0, DICE_STEPS.length - 1);
-  return DICE_STEPS[shifted];
+export function parseDieLadder(text) {
+  const steps = [];
+  for (const entry of String(text ?? "").split(/[,;\n]/)) {
+    const die = normalizeDieFormula(entry);
+    if (die && !steps.includes(die)) steps.push(die);
+  }
+  return steps.length >= 2 ? steps : [...DICE_STEPS];
+}
+
+export function getDieLadder(config) {
+  return parseDieLadder(config?.dieLadderText);
+}
+
+export function normalizeDie(die, fallback = "d6", ladder = DICE_STEPS) {
+  const normalized = normalizeDieFormula(die);
+  if (ladder.includes(normalized)) return normalized;
+  const normalizedFallback = normalizeDieFormula(fallback);
+  return ladder.includes(normalizedFallback) ? normalizedFallback : ladder[0];
+}
+
+export function dieLadderIndex(die, ladder = DICE_STEPS) {
+  const normalized = normalizeDieFormula(die);
+  return normalized ? ladder.indexOf(normalized) : -1;
+}
+
+export function shiftDie(die, steps = 0, ladder = DICE_STEPS) {
+  const index = ladder.indexOf(normalizeDie(die, ladder[0], ladder));
+  const shifted = clamp(index + Number(steps || 0), 0, ladder.length - 1);
+  return ladder[shifted];
+}
+
+// Steps a die one rung up the ladder unless that would pass the growth cap.
+export function growDie(die, ladder = DICE_STEPS, maxDie = "") {
+  const grown = shiftDie(die, 1, ladder);
+  if (!maxDie || (dieLadderIndex(grown, ladder) <= dieLadderIndex(maxDie, ladder))) return grown;
+  return normalizeDie(die, ladder[0], ladder);
 }
 
 export function asBoolean(value, fallback = false) {
@@ -32,6 +73,20 @@ export function asInteger(value, fallback = 0) {
   return Number.isFinite(parsed) ? parsed : fallback;
 }
 
+// Tags compare case-insensitively, so they are stored lower-cased and without duplicates.
+export function parseVentureTags(value) {
+  const entries = Array.isArray(value) ? value : String(value ?? "").split(/[,;\n]/);
+  return [...new Set(entries.map(tag => String(tag ?? "").trim().toLowerCase()).filter(Boolean))];
+}
+
+// An empty filter matches every venture; otherwise any shared tag is enough.
+export function matchesVentureTags(ventureTags, filterTags) {
+  const filter = parseVentureTags(filterTags);
+  if (!filter.length) return true;
+  const tags = parseVentureTags(ventureTags);
+  return filter.some(tag => tags.includes(tag));
+}
+
 export function parseBoonPerTurnLimit(value, fallback = 1) {
   if (value === null) return null;
   const text = String(value ?? "").trim().toLowerCase();
@@ -115,7 +170,7 @@ export function parseBoonsText(boonsText = "") {
     .map(line => {
       const [nameRaw = "", costRaw = "", ...tailParts] = line.split("|");
       const name = nameRaw.trim();
-      const cost = asInteger(costRaw.replace(/[^\d-]/g, ""), 0);
+      const cost = parseCurrencyAmount(costRaw.replace(/[^\w.-]/g, ""), 0);
       let description = "";
       let rewardRaw = "";
       let perTurnLimit = 1;
@@ -187,7 +242,7 @@ export function parseBoonsText(boonsText = "") {
 
 export function buildBoonKey(boon = {}) {
   const name = String(boon?.name ?? "").trim();
-  const cost = Number.parseInt(boon?.cost, 10) || 0;
+  const cost = roundGp(boon?.cost);
   const description = String(boon?.description ?? "").trim();
   const rewardUuid = String(boon?.rewardUuid ?? "").trim();
   const perTurnLimit = parseBoonPerTurnLimit(boon?.perTurnLimit, 1);
@@ -208,8 +263,136 @@ export function buildBoonGroupKey(boon = {}) {
   return `group::${group}`;
 }
 
-export function getActorGp(actor) {
-  return Number(actor?.system?.currency?.gp ?? 0) || 0;
+export function isVentureOwnerActor(actor) {
+  return (actor?.documentName === "Actor") && VENTURE_OWNER_TYPES.includes(actor.type);
+}
+
+export function getGroupMembers(actor) {
+  if (actor?.type !== "group") return [];
+  const members = actor.system?.members ?? [];
+  return Array.from(members)
+    .map(member => member?.actor ?? member)
+    .filter(member => member?.documentName === "Actor");
+}
+
+const CP_PER_GP = 100;
+const DEFAULT_CURRENCY_CONVERSION = { pp: 0.1, gp: 1, ep: 2, sp: 10, cp: 100 };
+
+// Coins from most to least valuable with their worth in copper. dnd5e gives each coin as "how many make 1 gp".
+export function getCurrencyTable() {
+  const configured = Object.entries(globalThis.CONFIG?.DND5E?.currencies ?? {})
+    .map(([key, currency]) => ({ key, conversion: Number(currency?.conversion) }))
+    .filter(entry => Number.isFinite(entry.conversion) && (entry.conversion > 0));
+  const entries = configured.length
+    ? configured
+    : Object.entries(DEFAULT_CURRENCY_CONVERSION).map(([key, conversion]) => ({ key, conversion }));
+  return entries
+    .map(({ key, conversion }) => ({ key, cp: CP_PER_GP / conversion }))
+    .sort((first, second) => second.cp - first.cp);
+}
+
+export function gpToCp(gp) {
+  return Math.round((Number(gp) || 0) * CP_PER_GP);
+}
+
+export function cpToGp(cp) {
+  return Math.round(Number(cp) || 0) / CP_PER_GP;
+}
+
+// Every gp amount is kept on whole copper so sums and comparisons stay exact.
+export function roundGp(gp) {
+  return cpToGp(gpToCp(gp));
+}
+
+// Reads "2.5", "2.5 gp" or "15 sp" as gp.
+export function parseCurrencyAmount(value, fallback = 0) {
+  const text = String(value ?? "").trim().toLowerCase().replace(/[,\s]+/g, "");
+  const match = text.match(/^(-?\d*\.?\d+)([a-z]*)$/);
+  if (!match) return fallback;
+  const amount = Number(match[1]);
+  if (!Number.isFinite(amount)) return fallback;
+  if (!match[2]) return roundGp(amount);
+  const coin = getCurrencyTable().find(entry => entry.key === match[2]);
+  return coin ? cpToGp(amount * coin.cp) : fallback;
+}
+
+export function getActorCurrencyCp(actor) {
+  return getCurrencyTable()
+    .reduce((total, coin) => total + ((Number(actor?.system?.currency?.[coin.key]) || 0) * coin.cp), 0);
+}
+
+// Payouts and change use the fewest coins, largest first, optionally only coins worth less than belowCp.
+export function splitCopperIntoCoins(cp, belowCp = Infinity) {
+  let remaining = Math.max(Math.round(Number(cp) || 0), 0);
+  const coins = {};
+  for (const coin of getCurrencyTable()) {
+    if ((coin.cp >= belowCp) || !Number.isInteger(coin.cp)) continue;
+    coins[coin.key] = Math.floor(remaining / coin.cp);
+    remaining -= coins[coin.key] * coin.cp;
+  }
+  return coins;
+}
+
+// Pays from the smallest coins up and breaks one larger coin for whatever is left, so only that coin turns into change.
+// Returns the new coin counts, or null when the purse cannot pay.
+export function spendCurrencyCoins(currency, amountCp) {
+  const table = getCurrencyTable();
+  const next = {};
+  for (const coin of table) next[coin.key] = Math.max(Number(currency?.[coin.key]) || 0, 0);
+  let remainingCp = Math.max(Math.round(Number(amountCp) || 0), 0);
+  const ascending = [...table].reverse();
+  for (const coin of ascending) {
+    const used = Math.min(next[coin.key], Math.floor(remainingCp / coin.cp));
+    next[coin.key] -= used;
+    remainingCp -= used * coin.cp;
+  }
+  if (remainingCp <= 0) return next;
+  // Any coin still left is worth more than the remainder, so the smallest of them covers it.
+  const broken = ascending.find(coin => next[coin.key] > 0);
+  if (!broken) return null;
+  next[broken.key] -= 1;
+  for (const [key, count] of Object.entries(splitCopperIntoCoins(broken.cp - remainingCp, broken.cp))) {
+    next[key] += count;
+  }
+  return next;
+}
+
+export function buildCurrencyPayoutUpdate(actor, gp) {
+  const update = {};
+  for (const [key, count] of Object.entries(splitCopperIntoCoins(gpToCp(gp)))) {
+    if (!count) continue;
+    update[`system.currency.${key}`] = (Number(actor?.system?.currency?.[key]) || 0) + count;
+  }
+  return update;
+}
+
+// Whole gp come out of the gp pouch when they can; anything else is paid from the smallest coins up. Null when the actor cannot pay.
+export function buildCurrencySpendUpdate(actor, gp) {
+  const amountCp = Math.max(gpToCp(gp), 0);
+  if (!amountCp) return {};
+  const currency = actor?.system?.currency ?? {};
+  const gpCoins = Number(currency.gp) || 0;
+  if (!(amountCp % CP_PER_GP) && ((gpCoins * CP_PER_GP) >= amountCp)) {
+    return { "system.currency.gp": gpCoins - (amountCp / CP_PER_GP) };
+  }
+  const next = spendCurrencyCoins(currency, amountCp);
+  if (!next) return null;
+  const update = {};
+  for (const [key, count] of Object.entries(next)) {
+    if (count !== (Number(currency[key]) || 0)) update[`system.currency.${key}`] = count;
+  }
+  return update;
+}
+
+// Partners receive whole copper by share; the owner keeps the remainder, including rounding.
+export function splitPartnerShares(amount, partners = []) {
+  const totalCp = Math.max(gpToCp(amount), 0);
+  return partners
+    .map(partner => ({
+      ...partner,
+      amount: cpToGp(Math.floor((totalCp * (Number(partner.share) || 0)) / 100))
+    }))
+    .filter(partner => partner.amount > 0);
 }
 
 export function resolveRewardDocumentSync(uuid) {
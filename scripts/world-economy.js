@@ -0,0 +1,215 @@
+import { MODULE_ID, SETTINGS, TEMPLATE_PATHS } from "./constants.js";
+import { getFacilityConfig } from "./config.js";
+import { asBoolean, asInteger, clamp, matchesVentureTags, parseCurrencyAmount, parseVentureTags } from "./utils.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+function toEntryArray(raw) {
+  if (Array.isArray(raw)) return raw;
+  return Object.entries(raw ?? {})
+    .sort(([first], [second]) => Number(first) - Number(second))
+    .map(([, entry]) => entry);
+}
+
+function asOptionalInteger(value, min, max) {
+  if ((value === undefined) || (value === null) || (String(value).trim() === "")) return null;
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? clamp(parsed, min, max) : null;
+}
+
+export function sanitizeWorldModifiers(raw) {
+  return toEntryArray(raw)
+    .filter(entry => entry && (typeof entry === "object"))
+    .map(entry => ({
+      id: String(entry.id ?? "").trim() || foundry.utils.randomID(),
+      name: String(entry.name ?? "").trim(),
+      enabled: asBoolean(entry.enabled, true),
+      tags: parseVentureTags(entry.tags),
+      // Older lists stored only the starting `duration`; it becomes the remaining count.
+      remainingTurns: asOptionalInteger(entry.remainingTurns ?? entry.duration, 0, 100),
+      profitDieStep: clamp(asInteger(entry.profitDieStep, 0), -10, 10),
+      lossDieStep: clamp(asInteger(entry.lossDieStep, 0), -10, 10),
+      profitRollBonus: asInteger(entry.profitRollBonus, 0),
+      taxRateOverride: asOptionalInteger(entry.taxRateOverride, 0, 100),
+      vaultCapacityBonus: parseCurrencyAmount(entry.vaultCapacityBonus, 0)
+    }));
+}
+
+export function getWorldModifiers() {
+  return sanitizeWorldModifiers(game.settings.get(MODULE_ID, SETTINGS.worldModifiers));
+}
+
+export async function setWorldModifiers(modifiers) {
+  if (!game.user?.isGM) {
+    ui.notifications.warn("INDYVENTURES.Errors.WorldEconomyGMOnly", { localize: true });
+    return null;
+  }
+  const sanitized = sanitizeWorldModifiers(modifiers);
+  await game.settings.set(MODULE_ID, SETTINGS.worldModifiers, sanitized);
+  return sanitized;
+}
+
+let worldTurnWrite = Promise.resolve();
+
+function getWorldBastionTurn() {
+  const raw = game.settings.get(MODULE_ID, SETTINGS.worldModifierTurn) ?? {};
+  return {
+    key: String(raw.key ?? ""),
+    actorUuids: Array.isArray(raw.actorUuids) ? raw.actorUuids.map(String) : [],
+    remaining: (raw.remaining && (typeof raw.remaining === "object")) ? raw.remaining : {}
+  };
+}
+
+// dnd5e posts one bastion message per actor, and the messages of one world bastion turn share its turn id or world time.
+// The first of them ticks the world modifiers and records the turn with the counts from before the tick, which the rest of
+// that turn keeps reading. An actor showing up again under the same key starts a new turn, so turns that leave the world
+// time alone still tick. Calls are chained so messages arriving together cannot both tick.
+export function beginWorldBastionTurn(turnKey, actorUuid) {
+  worldTurnWrite = worldTurnWrite.catch(() => {}).then(async () => {
+    const turn = getWorldBastionTurn();
+    if ((turn.key === turnKey) && !turn.actorUuids.includes(actorUuid)) {
+      await game.settings.set(MODULE_ID, SETTINGS.worldModifierTurn, { ...turn, actorUuids: [...turn.actorUuids, actorUuid] });
+      return;
+    }
+    const modifiers = getWorldModifiers();
+    const remaining = Object.fromEntries(modifiers
+      .filter(modifier => modifier.remainingTurns !== null)
+      .map(modifier => [modifier.id, modifier.remainingTurns]));
+    await game.settings.set(MODULE_ID, SETTINGS.worldModifierTurn, { key: turnKey, actorUuids: [actorUuid], remaining });
+    const ticking = modifier => modifier.enabled && (modifier.remainingTurns > 0);
+    if (!modifiers.some(ticking)) return;
+    await setWorldModifiers(modifiers.map(modifier => (
+      ticking(modifier) ? { ...modifier, remainingTurns: modifier.remainingTurns - 1 } : modifier
+    )));
+  });
+  return worldTurnWrite;
+}
+
+// World modifiers are read like effects but never stored on a document.
+function createWorldModifierEffect(modifier) {
+  const ventureModifier = {
+    applyToAllVentures: true,
+    tags: modifier.tags,
+    profitDieStep: modifier.profitDieStep,
+    lossDieStep: modifier.lossDieStep,
+    profitRollBonus: modifier.profitRollBonus,
+    taxRateOverride: modifier.taxRateOverride ?? "",
+    vaultCapacityBonus: modifier.vaultCapacityBonus,
+    remainingTurns: modifier.remainingTurns ?? "",
+    consumePerTurn: false
+  };
+  return {
+    id: modifier.id,
+    name: game.i18n.format("INDYVENTURES.WorldEconomy.EffectName", { name: modifier.name || "-" }),
+    disabled: !modifier.enabled,
+    isSuppressed: false,
+    changes: [],
+    getFlag: (scope, key) => (((scope === MODULE_ID) && (key === "ventureModifier")) ? ventureModifier : undefined)
+  };
+}
+
+// Ventures resolving in the recorded bastion turn see the counts that turn started with.
+export function getWorldModifierEffects(facility, worldTurnKey = "") {
+  const modifiers = getWorldModifiers();
+  if (!modifiers.length) return [];
+  const config = getFacilityConfig(facility);
+  const turn = worldTurnKey ? getWorldBastionTurn() : null;
+  const counts = (turn?.key === worldTurnKey) ? turn.remaining : {};
+  return modifiers
+    .filter(modifier => matchesVentureTags(config.tags, modifier.tags))
+    .map(modifier => createWorldModifierEffect(Object.hasOwn(counts, modifier.id)
+      ? { ...modifier, remainingTurns: counts[modifier.id] }
+      : modifier));
+}
+
+export class WorldEconomyApplication extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    actions: {
+      addWorldModifier: WorldEconomyApplication.#onAddModifier,
+      removeWorldModifier: WorldEconomyApplication.#onRemoveModifier
+    },
+    classes: ["dnd5e2", "indy-ventures", "indy-world-economy-app"],
+    form: {
+      handler: WorldEconomyApplication.#onSubmit,
+      submitOnChange: true,
+      closeOnSubmit: false
+    },
+    position: {
+      width: 860,
+      height: "auto"
+    },
+    tag: "form",
+    window: {
+      title: "INDYVENTURES.WorldEconomy.Title",
+      resizable: true
+    }
+  };
+
+  static PARTS = {
+    content: {
+      template: TEMPLATE_PATHS.worldEconomy
+    }
+  };
+
+  #updateHookId = null;
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const rows = getWorldModifiers().map(modifier => ({
+      ...modifier,
+      tagsText: modifier.tags.join(", "),
+      expired: modifier.remainingTurns === 0
+    }));
+    return {
+      ...context,
+      rows,
+      hasRows: rows.length > 0
+    };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    // Bastion turns tick the remaining turns while the panel may be open.
+    this.#updateHookId = Hooks.on("updateSetting", setting => {
+      if (setting?.key === `${MODULE_ID}.${SETTINGS.worldModifiers}`) this.render();
+    });
+  }
+
+  _onClose(options = {}) {
+    super._onClose(options);
+    if (this.#updateHookId !== null) Hooks.off("updateSetting", this.#updateHookId);
+    this.#updateHookId = null;
+  }
+
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    await setWorldModifiers(data.modifiers ?? []);
+    this.render();
+  }
+
+  static async #onAddModifier() {
+    const modifiers = getWorldModifiers();
+    modifiers.push({ name: game.i18n.localize("INDYVENTURES.WorldEconomy.NewName"), enabled: true, remainingTurns: 3 });
+    await setWorldModifiers(modifiers);
+    this.render();
+  }
+
+  static async #onRemoveModifier(event, target) {
+    const index = Number(target?.dataset?.index);
+    if (!Number.isInteger(index)) return;
+    const modifiers = getWorldModifiers();
+    modifiers.splice(index, 1);
+    await setWorldModifiers(modifiers);
+    this.render();
+  }
+}
+
+export function openWorldEconomy() {
+  if (!game.user?.isGM) {
+    ui.notifications.warn("INDYVENTURES.Errors.WorldEconomyGMOnly", { localize: true });
+    return null;
+  }
+  const app = new WorldEconomyApplication();
+  app.render({ force: true });
+  return app;
+}
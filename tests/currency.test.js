@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildCurrencySpendUpdate, parseCurrencyAmount, splitCopperIntoCoins } from "../scripts/utils.js";
+
+const actorWith = currency => ({ system: { currency: { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0, ...currency } } });
+
+describe("parseCurrencyAmount", () => {
+  it("reads plain numbers as gp on whole copper", () => {
+    assert.equal(parseCurrencyAmount("2.5"), 2.5);
+    assert.equal(parseCurrencyAmount(" 1,000 "), 1000);
+    assert.equal(parseCurrencyAmount(1.234), 1.23);
+  });
+
+  it("converts named coins to gp", () => {
+    assert.equal(parseCurrencyAmount("15 sp"), 1.5);
+    assert.equal(parseCurrencyAmount("2pp"), 20);
+    assert.equal(parseCurrencyAmount("3 ep"), 1.5);
+    assert.equal(parseCurrencyAmount("7 cp"), 0.07);
+  });
+
+  it("returns the fallback for anything else", () => {
+    assert.equal(parseCurrencyAmount("lots", null), null);
+    assert.equal(parseCurrencyAmount("5 xp", 0), 0);
+    assert.equal(parseCurrencyAmount("", -1), -1);
+  });
+});
+
+describe("splitCopperIntoCoins", () => {
+  it("uses the fewest coins across every denomination", () => {
+    assert.deepEqual(splitCopperIntoCoins(15075), { pp: 15, gp: 0, ep: 1, sp: 2, cp: 5 });
+  });
+
+  it("only uses coins below the given value", () => {
+    assert.deepEqual(splitCopperIntoCoins(950, 1000), { gp: 9, ep: 1, sp: 0, cp: 0 });
+  });
+});
+
+describe("buildCurrencySpendUpdate", () => {
+  it("takes whole gp from the gp pouch", () => {
+    assert.deepEqual(buildCurrencySpendUpdate(actorWith({ gp: 10, sp: 50 }), 3), { "system.currency.gp": 7 });
+  });
+
+  it("spends the smallest coins first", () => {
+    assert.deepEqual(buildCurrencySpendUpdate(actorWith({ gp: 5, sp: 8, cp: 30 }), 0.5), {
+      "system.currency.sp": 6,
+      "system.currency.cp": 0
+    });
+  });
+
+  it("breaks one coin and leaves the rest of the purse alone", () => {
+    assert.deepEqual(buildCurrencySpendUpdate(actorWith({ pp: 3, gp: 1000 }), 192.5), {
+      "system.currency.gp": 807,
+      "system.currency.ep": 1
+    });
+    assert.deepEqual(buildCurrencySpendUpdate(actorWith({ pp: 1 }), 0.05), {
+      "system.currency.pp": 0,
+      "system.currency.gp": 9,
+      "system.currency.ep": 1,
+      "system.currency.sp": 4,
+      "system.currency.cp": 5
+    });
+  });
+
+  it("returns an empty update for nothing and null when the purse is short", () => {
+    assert.deepEqual(buildCurrencySpendUpdate(actorWith({ gp: 1 }), 0), {});
+    assert.equal(buildCurrencySpendUpdate(actorWith({ gp: 1, sp: 9 }), 2), null);
+  });
+});
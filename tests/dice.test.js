@@ -0,0 +1,40 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DICE_STEPS } from "../scripts/constants.js";
+import { growDie, parseDieLadder } from "../scripts/utils.js";
+
+describe("parseDieLadder", () => {
+  it("reads dice in order and normalizes them", () => {
+    assert.deepEqual(parseDieLadder("D4, 1d6; d8\n2d6"), ["d4", "d6", "d8", "2d6"]);
+  });
+
+  it("drops duplicates and invalid entries", () => {
+    assert.deepEqual(parseDieLadder("d6, nonsense, d6, d10"), ["d6", "d10"]);
+  });
+
+  it("falls back to the default ladder below two steps", () => {
+    assert.deepEqual(parseDieLadder(""), DICE_STEPS);
+    assert.deepEqual(parseDieLadder("d20"), DICE_STEPS);
+    assert.notEqual(parseDieLadder(null), DICE_STEPS);
+  });
+});
+
+describe("growDie", () => {
+  it("steps one rung up the ladder", () => {
+    assert.equal(growDie("d6"), "d8");
+    assert.equal(growDie("d8", ["d6", "d8", "2d6"]), "2d6");
+  });
+
+  it("stays on the top rung", () => {
+    assert.equal(growDie("d12"), "d12");
+  });
+
+  it("does not grow past the cap", () => {
+    assert.equal(growDie("d8", DICE_STEPS, "d8"), "d8");
+    assert.equal(growDie("d6", DICE_STEPS, "d8"), "d8");
+  });
+
+  it("grows from the bottom rung for dice off the ladder", () => {
+    assert.equal(growDie("d20", DICE_STEPS, "d10"), "d6");
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { splitPartnerShares } from "../scripts/utils.js";
+
+describe("splitPartnerShares", () => {
+  it("pays each partner their share of the amount", () => {
+    const shares = splitPartnerShares(200, [
+      { actorUuid: "Actor.a", share: 25 },
+      { actorUuid: "Actor.b", share: 10 }
+    ]);
+    assert.deepEqual(shares.map(({ actorUuid, amount }) => [actorUuid, amount]), [["Actor.a", 50], ["Actor.b", 20]]);
+  });
+
+  it("rounds each share down to whole copper", () => {
+    const [share] = splitPartnerShares(1, [{ actorUuid: "Actor.a", share: 33 }]);
+    assert.equal(share.amount, 0.33);
+  });
+
+  it("leaves out partners whose share comes to nothing", () => {
+    assert.deepEqual(splitPartnerShares(0.01, [{ actorUuid: "Actor.a", share: 50 }]), []);
+    assert.deepEqual(splitPartnerShares(100, [{ actorUuid: "Actor.a", share: 0 }]), []);
+    assert.deepEqual(splitPartnerShares(-100, [{ actorUuid: "Actor.a", share: 50 }]), []);
+  });
+});
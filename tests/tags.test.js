@@ -0,0 +1,28 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { matchesVentureTags, parseVentureTags } from "../scripts/utils.js";
+
+describe("parseVentureTags", () => {
+  it("splits, trims, lowercases and dedupes", () => {
+    assert.deepEqual(parseVentureTags(" Tavern, market;TAVERN\nguild ,"), ["tavern", "market", "guild"]);
+    assert.deepEqual(parseVentureTags(["Shop", "", null, "shop"]), ["shop"]);
+    assert.deepEqual(parseVentureTags(undefined), []);
+  });
+});
+
+describe("matchesVentureTags", () => {
+  it("matches every venture when the filter is empty", () => {
+    assert.equal(matchesVentureTags(["tavern"], []), true);
+    assert.equal(matchesVentureTags([], ""), true);
+  });
+
+  it("matches when any tag is shared, ignoring case", () => {
+    assert.equal(matchesVentureTags(["tavern", "market"], "Market, guild"), true);
+    assert.equal(matchesVentureTags("Tavern", ["TAVERN"]), true);
+  });
+
+  it("does not match without a shared tag", () => {
+    assert.equal(matchesVentureTags(["tavern"], ["guild"]), false);
+    assert.equal(matchesVentureTags([], ["guild"]), false);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// world-economy.js builds its panel class from the Foundry API when it loads.
+let nextId = 0;
+globalThis.foundry = {
+  utils: { randomID: () => `id${++nextId}` },
+  applications: { api: { ApplicationV2: class {}, HandlebarsApplicationMixin: base => base } }
+};
+const { sanitizeWorldModifiers } = await import("../scripts/world-economy.js");
+
+describe("sanitizeWorldModifiers", () => {
+  it("fills in defaults for a bare entry", () => {
+    assert.deepEqual(sanitizeWorldModifiers([{ id: "plague" }]), [{
+      id: "plague",
+      name: "",
+      enabled: true,
+      tags: [],
+      remainingTurns: null,
+      profitDieStep: 0,
+      lossDieStep: 0,
+      profitRollBonus: 0,
+      taxRateOverride: null,
+      vaultCapacityBonus: 0
+    }]);
+  });
+
+  it("reads form data keyed by row index in order", () => {
+    const modifiers = sanitizeWorldModifiers({
+      1: { id: "b", name: " Festival ", enabled: "false", tags: "Tavern; Market" },
+      0: { id: "a", name: "Plague", remainingTurns: "3" }
+    });
+    assert.deepEqual(modifiers.map(modifier => modifier.id), ["a", "b"]);
+    assert.equal(modifiers[0].remainingTurns, 3);
+    assert.equal(modifiers[1].name, "Festival");
+    assert.equal(modifiers[1].enabled, false);
+    assert.deepEqual(modifiers[1].tags, ["tavern", "market"]);
+  });
+
+  it("clamps numbers and parses coin amounts", () => {
+    const [modifier] = sanitizeWorldModifiers([{
+      id: "a",
+      remainingTurns: "500",
+      profitDieStep: 12,
+      lossDieStep: "-20",
+      taxRateOverride: "150",
+      vaultCapacityBonus: "25 sp"
+    }]);
+    assert.equal(modifier.remainingTurns, 100);
+    assert.equal(modifier.profitDieStep, 10);
+    assert.equal(modifier.lossDieStep, -10);
+    assert.equal(modifier.taxRateOverride, 100);
+    assert.equal(modifier.vaultCapacityBonus, 2.5);
+  });
+
+  it("keeps an older duration as the turns left", () => {
+    assert.equal(sanitizeWorldModifiers([{ id: "a", duration: 4 }])[0].remainingTurns, 4);
+    assert.equal(sanitizeWorldModifiers([{ id: "a", duration: 4, remainingTurns: 1 }])[0].remainingTurns, 1);
+  });
+
+  it("drops entries that are not objects and gives missing ids a new one", () => {
+    const modifiers = sanitizeWorldModifiers([null, "junk", { name: "Fair" }]);
+    assert.equal(modifiers.length, 1);
+    assert.match(modifiers[0].id, /^id\d+$/);
+  });
+});
@@ -8,10 +8,13 @@
  * 3. It creates a new entry, or updates an existing one.
  *    - Updates existing when identifier+name (or name) matches.
  *    - If identifier matches but name differs, creates a new entry with a new identifier.
+ *
+ * Set TAG_FILTER (e.g. ["criminal"]) to only save an open venture carrying one of those tags.
  */
 
 const MODULE_ID = "indy-ventures";
 const PACK_ID = `${MODULE_ID}.venture-facilities`;
+const TAG_FILTER = [];
 
 function isVentureFacility(item) {
   if (!item || item.documentName !== "Item" || item.type !== "facility") return false;
@@ -19,11 +22,23 @@ function isVentureFacility(item) {
   return Boolean(config.enabled);
 }
 
+function getVentureTags(item) {
+  const raw = item?.getFlag(MODULE_ID, "config")?.tags ?? [];
+  const entries = Array.isArray(raw) ? raw : String(raw).split(/[,;\n]/);
+  return entries.map(tag => String(tag ?? "").trim().toLowerCase()).filter(Boolean);
+}
+
+function matchesTagFilter(item) {
+  if (!TAG_FILTER.length) return true;
+  const tags = getVentureTags(item);
+  return TAG_FILTER.some(tag => tags.includes(String(tag).trim().toLowerCase()));
+}
+
 function findOpenVentureFacility() {
   const windows = Object.values(ui.windows ?? {}).reverse();
   for (const app of windows) {
     const doc = app?.document;
-    if (isVentureFacility(doc)) return doc;
+    if (isVentureFacility(doc) && matchesTagFilter(doc)) return doc;
   }
   return null;
 }
@@ -70,7 +85,9 @@ function getUniqueIdentifier(baseIdentifier, docs) {
 
   const source = findOpenVentureFacility();
   if (!source) {
-    ui.notifications.warn("Open a Venture-enabled Facility sheet, then run this macro.");
+    ui.notifications.warn(TAG_FILTER.length
+      ? `Open a Venture-enabled Facility sheet tagged ${TAG_FILTER.join(" or ")}, then run this macro.`
+      : "Open a Venture-enabled Facility sheet, then run this macro.");
     return;
   }
 
@@ -8,14 +8,29 @@
  * 3) Save to indy-ventures.venture-facilities.
  *    - Updates existing when identifier+name (or name) matches.
  *    - If identifier matches but name differs, creates a new entry with a new identifier.
+ *
+ * Set TAG_FILTER (e.g. ["tavern", "arcane"]) to only offer ventures carrying one of those tags.
  */
 
 const MODULE_ID = "indy-ventures";
 const PACK_ID = `${MODULE_ID}.venture-facilities`;
+const TAG_FILTER = [];
 
 function isVentureFacility(item) {
   if (!item || item.documentName !== "Item" || item.type !== "facility") return false;
-  return Boolean(item.getFlag(MODULE_ID, "config")?.enabled);
+  return Boolean(item.getFlag(MODULE_ID, "config")?.enabled) && matchesTagFilter(item);
+}
+
+function getVentureTags(item) {
+  const raw = item?.getFlag(MODULE_ID, "config")?.tags ?? [];
+  const entries = Array.isArray(raw) ? raw : String(raw).split(/[,;\n]/);
+  return entries.map(tag => String(tag ?? "").trim().toLowerCase()).filter(Boolean);
+}
+
+function matchesTagFilter(item) {
+  if (!TAG_FILTER.length) return true;
+  const tags = getVentureTags(item);
+  return TAG_FILTER.some(tag => tags.includes(String(tag).trim().toLowerCase()));
 }
 
 function getControlledTokenActor() {
@@ -32,6 +47,11 @@ function getActorsWithVentures() {
     .sort((a, b) => a.name.localeCompare(b.name));
 }
 
+function getVentureChoiceLabel(facility) {
+  const tags = getVentureTags(facility);
+  return tags.length ? `${facility.name} [${tags.join(", ")}]` : facility.name;
+}
+
 function getActorVentureFacilities(actor) {
   return (actor?.itemTypes?.facility ?? [])
     .filter(isVentureFacility)
@@ -195,7 +215,7 @@ async function saveFacilityToPack({ pack, facility }) {
   const facilityId = await chooseFromList({
     title: "Select Venture Facility",
     label: "Facility",
-    choices: facilities.map(facility => ({ value: facility.id, label: facility.name })),
+    choices: facilities.map(facility => ({ value: facility.id, label: getVentureChoiceLabel(facility) })),
     initialValue: facilities[0].id
   });
   if (!facilityId) return;